@@ -6,7 +6,7 @@
 CREATE TABLE IF NOT EXISTS user_plaid_tokens (
     id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
     user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
-    access_token TEXT NOT NULL, -- In production, this should be encrypted
+    access_token TEXT NOT NULL, -- AES-256-GCM ciphertext, see access_token_data_key
     item_id TEXT NOT NULL,
     institution_id TEXT,
     institution_name TEXT,
@@ -101,8 +101,10 @@ RETURNS INTEGER AS $$
 DECLARE
     deleted_count INTEGER;
 BEGIN
+    -- Revoked sessions stay until they expire: deleting one cascades to its refresh
+    -- tokens, and a stolen token replayed after that would no longer be seen as reuse
     DELETE FROM user_api_sessions
-    WHERE expires_at < NOW() OR is_active = FALSE;
+    WHERE expires_at < NOW();
 
     GET DIAGNOSTICS deleted_count = ROW_COUNT;
 
@@ -269,4 +271,273 @@ SELECT audit_token_access('user-uuid-here'::UUID, 'token_accessed', '192.168.1.1
 COMMENT ON TABLE user_plaid_tokens IS 'Plaid access tokens - SERVICE ROLE ACCESS ONLY via backend API';
 COMMENT ON TABLE user_api_sessions IS 'API session tracking - SERVICE ROLE ACCESS ONLY';
 COMMENT ON FUNCTION get_user_plaid_tokens(UUID) IS 'Backend function to retrieve user tokens safely';
-COMMENT ON FUNCTION store_plaid_token(UUID, TEXT, TEXT, TEXT, TEXT) IS 'Backend function to store tokens safely';
\ No newline at end of file
+COMMENT ON FUNCTION store_plaid_token(UUID, TEXT, TEXT, TEXT, TEXT) IS 'Backend function to store tokens safely';
+-- 18. Item status columns maintained by Plaid webhooks
+ALTER TABLE user_plaid_tokens ADD COLUMN IF NOT EXISTS item_status TEXT DEFAULT 'healthy'; -- healthy, login_required, pending_expiration, revoked, error
+ALTER TABLE user_plaid_tokens ADD COLUMN IF NOT EXISTS error_code TEXT;
+ALTER TABLE user_plaid_tokens ADD COLUMN IF NOT EXISTS consent_expiration_time TIMESTAMPTZ;
+ALTER TABLE user_plaid_tokens ADD COLUMN IF NOT EXISTS holdings_updated_at TIMESTAMPTZ;
+ALTER TABLE user_plaid_tokens ADD COLUMN IF NOT EXISTS transactions_updated_at TIMESTAMPTZ;
+ALTER TABLE user_plaid_tokens ADD COLUMN IF NOT EXISTS last_webhook_at TIMESTAMPTZ;
+
+-- Webhooks look items up by item_id alone
+CREATE INDEX IF NOT EXISTS idx_user_plaid_tokens_item_id ON user_plaid_tokens(item_id);
+
+-- 19. Envelope encryption for access tokens
+-- access_token holds ciphertext sealed with a per-row data key; the data key is
+-- sealed with the backend master key identified by access_token_key_id.
+-- Rows with a NULL key ID are legacy plaintext until `npm run reencrypt-tokens` runs.
+ALTER TABLE user_plaid_tokens ADD COLUMN IF NOT EXISTS access_token_data_key TEXT;
+ALTER TABLE user_plaid_tokens ADD COLUMN IF NOT EXISTS access_token_key_id TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_user_plaid_tokens_key_id ON user_plaid_tokens(access_token_key_id);
+
+-- 20. Institution display metadata captured at link time
+-- (institution_id and institution_name already exist on user_plaid_tokens)
+ALTER TABLE user_plaid_tokens ADD COLUMN IF NOT EXISTS institution_logo TEXT; -- base64 PNG from Plaid
+ALTER TABLE user_plaid_tokens ADD COLUMN IF NOT EXISTS institution_primary_color TEXT;
+ALTER TABLE user_plaid_tokens ADD COLUMN IF NOT EXISTS institution_url TEXT;
+
+-- 21. Local investment ledger synced from Plaid
+-- Rows mirror Plaid's investment_transactions objects. Plaid "cancel" rows keep their
+-- cancel_transaction_id and the reversed trade is flagged is_canceled; rows Plaid stops
+-- returning inside a re-synced window are soft-deleted via removed_at.
+CREATE TABLE IF NOT EXISTS investment_accounts (
+    account_id TEXT PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    item_id TEXT NOT NULL,
+    name TEXT,
+    type TEXT,
+    subtype TEXT,
+    data JSONB NOT NULL, -- Plaid account object
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS investment_securities (
+    security_id TEXT PRIMARY KEY,
+    ticker_symbol TEXT,
+    name TEXT,
+    type TEXT,
+    data JSONB NOT NULL, -- Plaid security object
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS investment_transactions (
+    investment_transaction_id TEXT PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    item_id TEXT NOT NULL,
+    account_id TEXT NOT NULL,
+    security_id TEXT,
+    date DATE NOT NULL,
+    name TEXT,
+    quantity NUMERIC,
+    amount NUMERIC,
+    price NUMERIC,
+    fees NUMERIC,
+    type TEXT,
+    subtype TEXT,
+    iso_currency_code TEXT,
+    unofficial_currency_code TEXT,
+    cancel_transaction_id TEXT,
+    is_canceled BOOLEAN DEFAULT FALSE,
+    source TEXT NOT NULL DEFAULT 'plaid',
+    removed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_investment_accounts_user_id ON investment_accounts(user_id, item_id);
+CREATE INDEX IF NOT EXISTS idx_investment_transactions_user_date ON investment_transactions(user_id, date DESC) WHERE removed_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_investment_transactions_item_date ON investment_transactions(item_id, date);
+
+ALTER TABLE user_plaid_tokens ADD COLUMN IF NOT EXISTS transactions_synced_through DATE;
+ALTER TABLE user_plaid_tokens ADD COLUMN IF NOT EXISTS transactions_synced_at TIMESTAMPTZ;
+
+ALTER TABLE investment_accounts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE investment_securities ENABLE ROW LEVEL SECURITY;
+ALTER TABLE investment_transactions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role full access" ON investment_accounts FOR ALL TO service_role USING (true);
+CREATE POLICY "Service role full access" ON investment_securities FOR ALL TO service_role USING (true);
+CREATE POLICY "Service role full access" ON investment_transactions FOR ALL TO service_role USING (true);
+
+CREATE POLICY "Block client access" ON investment_accounts FOR ALL TO authenticated, anon USING (false);
+CREATE POLICY "Block client access" ON investment_securities FOR ALL TO authenticated, anon USING (false);
+CREATE POLICY "Block client access" ON investment_transactions FOR ALL TO authenticated, anon USING (false);
+
+CREATE TRIGGER update_investment_accounts_updated_at
+    BEFORE UPDATE ON investment_accounts
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_investment_transactions_updated_at
+    BEFORE UPDATE ON investment_transactions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+GRANT ALL ON investment_accounts TO service_role;
+GRANT ALL ON investment_securities TO service_role;
+GRANT ALL ON investment_transactions TO service_role;
+
+-- 22. Daily holdings snapshots for portfolio history (one row per account per day)
+CREATE TABLE IF NOT EXISTS holdings_snapshots (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    item_id TEXT NOT NULL,
+    account_id TEXT NOT NULL,
+    snapshot_date DATE NOT NULL,
+    total_value NUMERIC NOT NULL,
+    cost_basis NUMERIC,
+    iso_currency_code TEXT,
+    holdings JSONB, -- per-security positions at snapshot time
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+
+    UNIQUE(user_id, account_id, snapshot_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_holdings_snapshots_user_date ON holdings_snapshots(user_id, snapshot_date);
+
+ALTER TABLE user_plaid_tokens ADD COLUMN IF NOT EXISTS holdings_snapshot_date DATE;
+
+ALTER TABLE holdings_snapshots ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role full access" ON holdings_snapshots FOR ALL TO service_role USING (true);
+CREATE POLICY "Block client access" ON holdings_snapshots FOR ALL TO authenticated, anon USING (false);
+GRANT ALL ON holdings_snapshots TO service_role;
+
+-- 23. Rotating refresh tokens
+-- Access JWTs are short-lived; a user_api_sessions row is one signed-in device and
+-- always holds the hash of its newest access token. Every refresh token issued for a
+-- session belongs to that session's family; reusing a spent token revokes the family.
+CREATE TABLE IF NOT EXISTS user_refresh_tokens (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    session_id UUID NOT NULL REFERENCES user_api_sessions(id) ON DELETE CASCADE,
+    parent_id UUID REFERENCES user_refresh_tokens(id) ON DELETE SET NULL,
+    token_hash TEXT NOT NULL UNIQUE, -- SHA-256 of the opaque token
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL,
+    used_at TIMESTAMPTZ,
+    revoked_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_refresh_tokens_session ON user_refresh_tokens(session_id);
+CREATE INDEX IF NOT EXISTS idx_user_refresh_tokens_user ON user_refresh_tokens(user_id) WHERE revoked_at IS NULL;
+
+ALTER TABLE user_refresh_tokens ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role full access" ON user_refresh_tokens FOR ALL TO service_role USING (true);
+CREATE POLICY "Block client access" ON user_refresh_tokens FOR ALL TO authenticated, anon USING (false);
+GRANT ALL ON user_refresh_tokens TO service_role;
+
+-- 24. Append-only security audit log
+-- Replaces the old audit_token_access() behaviour of writing fake user_api_sessions rows.
+CREATE TABLE IF NOT EXISTS audit_events (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    occurred_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    -- No foreign key: a cascade on profile deletion would be an UPDATE the trigger
+    -- below rejects, and audit rows must outlive the accounts they describe
+    actor_user_id UUID,
+    action TEXT NOT NULL, -- LOGIN, LOGOUT, TOKEN_EXCHANGE, HOLDINGS_PULL, ITEM_REMOVE, ...
+    outcome TEXT NOT NULL DEFAULT 'success', -- success, partial, failure, denied
+    item_id TEXT,
+    ip_address INET,
+    user_agent TEXT,
+    request_id TEXT,
+    metadata JSONB
+);
+
+-- Databases created with the earlier ON DELETE SET NULL reference
+ALTER TABLE audit_events DROP CONSTRAINT IF EXISTS audit_events_actor_user_id_fkey;
+
+CREATE INDEX IF NOT EXISTS idx_audit_events_actor ON audit_events(actor_user_id, occurred_at DESC);
+
+-- Rows can be added but never changed or removed
+CREATE OR REPLACE FUNCTION prevent_audit_event_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'audit_events is append-only';
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER audit_events_append_only
+    BEFORE UPDATE OR DELETE ON audit_events
+    FOR EACH ROW EXECUTE FUNCTION prevent_audit_event_changes();
+
+ALTER TABLE audit_events ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role insert and read" ON audit_events FOR SELECT TO service_role USING (true);
+CREATE POLICY "Service role append" ON audit_events FOR INSERT TO service_role WITH CHECK (true);
+CREATE POLICY "Block client access" ON audit_events FOR ALL TO authenticated, anon USING (false);
+GRANT SELECT, INSERT ON audit_events TO service_role;
+
+CREATE OR REPLACE FUNCTION audit_token_access(
+    p_user_id UUID,
+    p_action TEXT,
+    p_ip_address INET DEFAULT NULL
+)
+RETURNS VOID AS $$
+BEGIN
+    INSERT INTO audit_events (actor_user_id, action, ip_address)
+    VALUES (p_user_id, p_action, p_ip_address);
+END;
+$$ language 'plpgsql';
+
+-- Remove the fake session rows the old audit_token_access() wrote
+DELETE FROM user_api_sessions WHERE token_hash LIKE 'audit\_%';
+
+-- 25. Trade journal
+-- One entry per user per investment_transaction_id; images live in the private
+-- journal-attachments storage bucket and are served through signed URLs.
+CREATE TABLE IF NOT EXISTS trade_journal_entries (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    investment_transaction_id TEXT NOT NULL,
+    notes TEXT,
+    strategy TEXT,
+    tags TEXT[] NOT NULL DEFAULT '{}',
+    emotion_rating SMALLINT CHECK (emotion_rating BETWEEN 1 AND 5),
+    planned_stop NUMERIC,
+    planned_target NUMERIC,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+    UNIQUE(user_id, investment_transaction_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_trade_journal_entries_tags ON trade_journal_entries USING GIN(tags);
+CREATE INDEX IF NOT EXISTS idx_trade_journal_entries_strategy ON trade_journal_entries(user_id, strategy);
+
+CREATE TRIGGER update_trade_journal_entries_updated_at
+    BEFORE UPDATE ON trade_journal_entries
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TABLE IF NOT EXISTS trade_journal_attachments (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    journal_entry_id UUID NOT NULL REFERENCES trade_journal_entries(id) ON DELETE CASCADE,
+    storage_path TEXT NOT NULL UNIQUE,
+    content_type TEXT NOT NULL,
+    size_bytes INTEGER NOT NULL,
+    caption TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_trade_journal_attachments_entry ON trade_journal_attachments(journal_entry_id);
+
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('journal-attachments', 'journal-attachments', false)
+ON CONFLICT (id) DO NOTHING;
+
+ALTER TABLE trade_journal_entries ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role full access" ON trade_journal_entries FOR ALL TO service_role USING (true);
+CREATE POLICY "Block client access" ON trade_journal_entries FOR ALL TO authenticated, anon USING (false);
+GRANT ALL ON trade_journal_entries TO service_role;
+
+ALTER TABLE trade_journal_attachments ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role full access" ON trade_journal_attachments FOR ALL TO service_role USING (true);
+CREATE POLICY "Block client access" ON trade_journal_attachments FOR ALL TO authenticated, anon USING (false);
+GRANT ALL ON trade_journal_attachments TO service_role;
+
+-- 26. Manual accounts for imported trade history
+-- A manual account is an investment_accounts row with source 'manual' whose item_id
+-- equals its account_id; its transactions carry source 'csv' (or 'ofx').
+ALTER TABLE investment_accounts ADD COLUMN IF NOT EXISTS source TEXT NOT NULL DEFAULT 'plaid';
+CREATE INDEX IF NOT EXISTS idx_investment_accounts_manual ON investment_accounts(user_id) WHERE source = 'manual';
@@ -5,7 +5,7 @@
 CREATE TABLE IF NOT EXISTS user_plaid_tokens (
     id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
     user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
-    access_token TEXT NOT NULL, -- In production, this should be encrypted
+    access_token TEXT NOT NULL, -- AES-256-GCM ciphertext, see access_token_data_key
     item_id TEXT NOT NULL,
     institution_id TEXT,
     institution_name TEXT,
@@ -141,7 +141,7 @@ SELECT cleanup_expired_sessions();
 SELECT * FROM user_connected_accounts;
 */
 
-COMMENT ON TABLE user_plaid_tokens IS 'Stores Plaid access tokens for users, encrypted in production';
+COMMENT ON TABLE user_plaid_tokens IS 'Stores Plaid access tokens for users, envelope-encrypted by the backend';
 COMMENT ON TABLE user_api_sessions IS 'Tracks API sessions for JWT token management and security';
 COMMENT ON VIEW user_connected_accounts IS 'Summary view of user account connections';
 
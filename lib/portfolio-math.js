@@ -0,0 +1,659 @@
+// Pure portfolio calculations used by the API routes in server.js. Nothing in
+// this module talks to Plaid or Supabase, so it can be unit tested directly.
+
+// =======================
+// DATES
+// =======================
+
+const toDateString = (date) => date.toISOString().slice(0, 10);
+
+const addDays = (dateString, days) => {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return toDateString(date);
+};
+
+const daysBetween = (fromDate, toDate) => {
+  return (new Date(`${toDate}T00:00:00Z`) - new Date(`${fromDate}T00:00:00Z`)) / 86400000;
+};
+
+// =======================
+// COST BASIS ENGINE
+// =======================
+
+const COST_BASIS_METHODS = ['FIFO', 'LIFO', 'HIFO', 'AVERAGE'];
+
+// Quantities below this are treated as zero to absorb floating point dust
+const QUANTITY_EPSILON = 1e-8;
+
+// Option contracts cover 100 shares of the underlying
+const OPTION_CONTRACT_MULTIPLIER = 100;
+
+// Subtypes that end an option contract without a trade. On the contract they close
+// whatever is open at zero proceeds; the premium is not carried into the delivered
+// shares. Brokers tag the stock leg with the same subtype, but that is a real trade.
+const CONTRACT_CLOSURE_SUBTYPES = ['expire', 'assignment', 'exercise'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Long-term means held more than one year: sold after the acquisition anniversary
+const holdingTerm = (dateAcquired, dateSold) => {
+  const anniversary = new Date(`${dateAcquired}T00:00:00Z`);
+  anniversary.setUTCFullYear(anniversary.getUTCFullYear() + 1);
+  return new Date(`${dateSold}T00:00:00Z`) > anniversary ? 'long' : 'short';
+};
+
+// Plaid amounts are the complete cash value of the trade; fall back to price math when absent
+const transactionValue = (t, security) => {
+  const amount = Math.abs(Number(t.amount) || 0);
+  if (amount > 0) return amount;
+  const multiplier = security?.option_contract ? OPTION_CONTRACT_MULTIPLIER : 1;
+  return Math.abs(Number(t.quantity) || 0) * (Number(t.price) || 0) * multiplier;
+};
+
+const isCashSecurity = (security) => {
+  return !!security && (security.is_cash_equivalent || security.type === 'cash');
+};
+
+// Order lots for consumption under the chosen method. Lots are ordered by when they
+// were bought, not by a holding period tacked on from a wash sale.
+const orderLots = (lots, method) => {
+  switch (method) {
+    case 'LIFO':
+      return lots.slice().sort((a, b) => (a.opened_date < b.opened_date ? 1 : a.opened_date > b.opened_date ? -1 : b.seq - a.seq));
+    case 'HIFO':
+      return lots.slice().sort((a, b) => (b.cost_basis / b.quantity) - (a.cost_basis / a.quantity) || a.seq - b.seq);
+    default:
+      // FIFO, and AVERAGE which uses first-in order for holding periods
+      return lots.slice().sort((a, b) => (a.opened_date < b.opened_date ? -1 : a.opened_date > b.opened_date ? 1 : a.seq - b.seq));
+  }
+};
+
+// Openings go before closings on the same day so day trades match
+const sameDayRank = (t, security) => {
+  if (t.subtype === 'sell short') return 0;
+  if (t.subtype === 'buy to cover') return 1;
+  if (security?.option_contract && CONTRACT_CLOSURE_SUBTYPES.includes(t.subtype)) return 1;
+  return Number(t.quantity) > 0 ? 0 : 1;
+};
+
+// Replay buys, sells, transfers and splits per account and security.
+//
+// Lots are long or short. Sells close long lots and buys close short lots; what is
+// left over opens a new lot, except that a plain stock sale with nothing to close
+// is reported as missing basis (the history starts mid-position) rather than as a
+// short. Expirations, assignments and exercises close option contracts at zero
+// proceeds (the shares delivered go through as ordinary buys and sells), and option
+// lots still open after their expiration date (as of `asOf`) are closed there too,
+// flagged auto_closed.
+//
+// Realized rows carry the opening transaction as buy_transaction_id and the
+// closing one as sell_transaction_id, whichever side they are on. For short lots
+// proceeds come from the opening sale and cost_basis from the close. Open lots are
+// returned signed: shorts have negative quantity and cost_basis (premium received).
+//
+// `washSaleAdjustments` maps a purchase's transaction ID to the wash sales it
+// replaced (see washSaleAdjustments below); those shares open with the disallowed
+// loss added to their basis and the sold lot's holding period tacked on.
+const computeLots = (transactions, securitiesById, {
+  method = 'FIFO',
+  asOf = toDateString(new Date()),
+  washSaleAdjustments = new Map()
+} = {}) => {
+  const positions = new Map();
+  const realized = [];
+  let seq = 0;
+
+  const positionFor = (t) => {
+    const key = `${t.account_id}:${t.security_id}`;
+    if (!positions.has(key)) {
+      positions.set(key, { account_id: t.account_id, security_id: t.security_id, lots: [] });
+    }
+    return positions.get(key);
+  };
+
+  const ordered = transactions
+    .filter(t => t.security_id && !isCashSecurity(securitiesById.get(t.security_id)))
+    .filter(t => ['buy', 'sell', 'transfer'].includes(t.type))
+    .slice()
+    .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 :
+      sameDayRank(a, securitiesById.get(a.security_id)) - sameDayRank(b, securitiesById.get(b.security_id)) ||
+      (a.investment_transaction_id < b.investment_transaction_id ? -1 : 1)));
+
+  // cost_basis on a short lot is the premium or sale proceeds received
+  const addLot = (position, t, side, quantity, costBasis, extra = {}) => {
+    position.lots.push({
+      seq: seq++,
+      side,
+      buy_transaction_id: t.investment_transaction_id,
+      opened_date: t.date,
+      date_acquired: t.date,
+      quantity,
+      cost_basis: costBasis,
+      wash_sale_adjustment: 0,
+      ...extra
+    });
+  };
+
+  // Open a long lot for a purchase, splitting off the shares that replaced wash sales
+  const addPurchase = (position, t, quantity, costBasis) => {
+    let remaining = quantity;
+
+    (washSaleAdjustments.get(t.investment_transaction_id) || []).forEach(adjustment => {
+      const adjusted = Math.min(adjustment.quantity, remaining);
+      if (adjusted <= QUANTITY_EPSILON) return;
+
+      const basisAdjustment = adjustment.basis_adjustment * (adjusted / adjustment.quantity);
+      addLot(position, t, 'long', adjusted, costBasis * (adjusted / quantity) + basisAdjustment, {
+        date_acquired: addDays(t.date, -adjustment.holding_period_adjustment_days),
+        wash_sale_adjustment: basisAdjustment
+      });
+      remaining -= adjusted;
+    });
+
+    if (remaining > QUANTITY_EPSILON) {
+      addLot(position, t, 'long', remaining, costBasis * (remaining / quantity));
+    }
+  };
+
+  // Take `quantity` out of the position's lots on one side; returns the pieces removed
+  const consumeLots = (position, side, quantity) => {
+    const pieces = [];
+    const lots = position.lots.filter(lot => lot.side === side);
+    let remaining = quantity;
+
+    if (method === 'AVERAGE') {
+      const totalQuantity = lots.reduce((sum, lot) => sum + lot.quantity, 0);
+      const totalCost = lots.reduce((sum, lot) => sum + lot.cost_basis, 0);
+      const averageCost = totalQuantity > 0 ? totalCost / totalQuantity : 0;
+      lots.forEach(lot => { lot.cost_basis = lot.quantity * averageCost; });
+    }
+
+    for (const lot of orderLots(lots, method)) {
+      if (remaining <= QUANTITY_EPSILON) break;
+
+      const taken = Math.min(lot.quantity, remaining);
+      const unitCost = lot.cost_basis / lot.quantity;
+      const washAdjustment = lot.wash_sale_adjustment * (taken / lot.quantity);
+      pieces.push({ lot, quantity: taken, cost_basis: unitCost * taken, wash_sale_adjustment: washAdjustment });
+
+      lot.quantity -= taken;
+      lot.cost_basis -= unitCost * taken;
+      lot.wash_sale_adjustment -= washAdjustment;
+      remaining -= taken;
+    }
+
+    position.lots = position.lots.filter(lot => lot.quantity > QUANTITY_EPSILON);
+
+    return { pieces, unmatched: remaining > QUANTITY_EPSILON ? remaining : 0 };
+  };
+
+  // Record closed pieces. `amount` is the closing trade's cash value for `quantity` units.
+  const realize = (position, pieces, { transactionId, date, quantity, amount, closedBy, autoClosed = false }) => {
+    pieces.forEach(piece => {
+      const closingAmount = quantity > 0 ? amount * (piece.quantity / quantity) : 0;
+      const long = piece.lot.side === 'long';
+      const proceeds = long ? closingAmount : piece.cost_basis;
+      const costBasis = long ? piece.cost_basis : closingAmount;
+
+      realized.push({
+        sell_transaction_id: transactionId,
+        buy_transaction_id: piece.lot.buy_transaction_id,
+        account_id: position.account_id,
+        security_id: position.security_id,
+        side: piece.lot.side,
+        date_acquired: piece.lot.date_acquired,
+        date_sold: date,
+        quantity: piece.quantity,
+        proceeds: round2(proceeds),
+        cost_basis: round2(costBasis),
+        gain: round2(proceeds - costBasis),
+        // Gains on short sales and written options are short-term however long they ran
+        term: long ? holdingTerm(piece.lot.date_acquired, date) : 'short',
+        closed_by: closedBy,
+        auto_closed: autoClosed,
+        wash_sale_adjustment: round2(piece.wash_sale_adjustment),
+        basis_estimated: !!piece.lot.basis_estimated
+      });
+    });
+  };
+
+  // A close we can't match to an opening in the history
+  const realizeUnmatched = (position, t, quantity, { proceeds, costBasis }) => {
+    realized.push({
+      sell_transaction_id: t.investment_transaction_id,
+      buy_transaction_id: null,
+      account_id: position.account_id,
+      security_id: position.security_id,
+      side: proceeds === null ? 'short' : 'long',
+      date_acquired: null,
+      date_sold: t.date,
+      quantity,
+      proceeds: proceeds === null ? null : round2(proceeds),
+      cost_basis: costBasis === null ? null : round2(costBasis),
+      gain: null,
+      term: null,
+      closed_by: t.type === 'buy' ? 'cover' : 'sale',
+      auto_closed: false,
+      basis_missing: true
+    });
+  };
+
+  for (const t of ordered) {
+    const position = positionFor(t);
+    const security = securitiesById.get(t.security_id);
+    const quantity = Number(t.quantity) || 0;
+
+    if (t.subtype === 'split' || t.subtype === 'stock split') {
+      // Splits scale every lot's share count and keep the total basis
+      const held = position.lots.reduce((sum, lot) => sum + lot.quantity, 0);
+      if (held > QUANTITY_EPSILON) {
+        const ratio = (held + quantity) / held;
+        position.lots.forEach(lot => { lot.quantity *= ratio; });
+      }
+      continue;
+    }
+
+    if (security?.option_contract && CONTRACT_CLOSURE_SUBTYPES.includes(t.subtype)) {
+      // Brokers disagree on the sign, so close whichever side is open up to the size
+      const side = position.lots[0]?.side;
+      if (!side) continue;
+      const open = position.lots.reduce((sum, lot) => sum + lot.quantity, 0);
+      const contracts = quantity ? Math.min(Math.abs(quantity), open) : open;
+      const { pieces } = consumeLots(position, side, contracts);
+      realize(position, pieces, { transactionId: t.investment_transaction_id, date: t.date, quantity: contracts, amount: 0, closedBy: t.subtype });
+      continue;
+    }
+
+    if (quantity === 0) continue;
+
+    if (t.type === 'transfer') {
+      if (quantity > 0) {
+        // Transferred-in basis is only as good as the broker's amount
+        addLot(position, t, 'long', quantity, transactionValue(t, security), { basis_estimated: true });
+      } else {
+        // Transfers out move shares without a taxable sale
+        consumeLots(position, 'long', Math.abs(quantity));
+      }
+      continue;
+    }
+
+    const size = Math.abs(quantity);
+    const amount = transactionValue(t, security);
+    const closingSide = quantity > 0 ? 'short' : 'long';
+    const { pieces, unmatched } = consumeLots(position, closingSide, size);
+
+    realize(position, pieces, {
+      transactionId: t.investment_transaction_id,
+      date: t.date,
+      quantity: size,
+      amount,
+      closedBy: quantity > 0 ? 'cover' : 'sale'
+    });
+
+    if (unmatched === 0) continue;
+
+    const remainderAmount = amount * (unmatched / size);
+
+    if (quantity > 0) {
+      // A cover with no short on record can't become a long position
+      if (t.subtype === 'buy to cover') {
+        realizeUnmatched(position, t, unmatched, { proceeds: null, costBasis: remainderAmount });
+      } else {
+        addPurchase(position, t, unmatched, remainderAmount);
+      }
+    } else if (t.subtype === 'sell short' || security?.option_contract) {
+      addLot(position, t, 'short', unmatched, remainderAmount);
+    } else {
+      // Shares sold that we never saw bought: history starts mid-position
+      realizeUnmatched(position, t, unmatched, { proceeds: remainderAmount, costBasis: null });
+    }
+  }
+
+  // Contracts past expiration with no closing record expired worthless
+  positions.forEach(position => {
+    const expiration = securitiesById.get(position.security_id)?.option_contract?.expiration_date;
+    if (!expiration || expiration >= asOf || position.lots.length === 0) return;
+
+    ['long', 'short'].forEach(side => {
+      const open = position.lots.filter(lot => lot.side === side).reduce((sum, lot) => sum + lot.quantity, 0);
+      if (open <= QUANTITY_EPSILON) return;
+      const { pieces } = consumeLots(position, side, open);
+      realize(position, pieces, { transactionId: null, date: expiration, quantity: open, amount: 0, closedBy: 'expire', autoClosed: true });
+    });
+  });
+
+  const openLots = Array.from(positions.values()).flatMap(position => position.lots.map(lot => {
+    const sign = lot.side === 'short' ? -1 : 1;
+    return {
+      account_id: position.account_id,
+      security_id: position.security_id,
+      side: lot.side,
+      buy_transaction_id: lot.buy_transaction_id,
+      date_acquired: lot.date_acquired,
+      quantity: sign * lot.quantity,
+      cost_basis: round2(sign * lot.cost_basis),
+      wash_sale_adjustment: round2(lot.wash_sale_adjustment),
+      basis_estimated: !!lot.basis_estimated
+    };
+  }));
+
+  return { realized, openLots };
+};
+
+const summarizeGains = (rows) => {
+  const summary = { short_term: 0, long_term: 0, total: 0, proceeds: 0, cost_basis: 0, missing_basis_count: 0 };
+
+  rows.forEach(row => {
+    if (row.gain === null) {
+      summary.missing_basis_count++;
+      return;
+    }
+    summary[row.term === 'long' ? 'long_term' : 'short_term'] += row.gain;
+    summary.total += row.gain;
+    summary.proceeds += row.proceeds;
+    summary.cost_basis += row.cost_basis;
+  });
+
+  ['short_term', 'long_term', 'total', 'proceeds', 'cost_basis'].forEach(key => { summary[key] = round2(summary[key]); });
+  return summary;
+};
+
+// =======================
+// WASH SALE DETECTION
+// =======================
+
+const WASH_SALE_WINDOW_DAYS = 30;
+
+// Securities sharing a key are treated as substantially identical. Call options
+// are rights to acquire the underlying, so they key to the underlying ticker.
+const washSaleKey = (security) => {
+  if (!security) return null;
+
+  const option = security.option_contract;
+  if (option) {
+    return option.contract_type === 'call' && option.underlying_security_ticker ?
+      `TICKER:${option.underlying_security_ticker.toUpperCase()}` :
+      null;
+  }
+
+  if (security.ticker_symbol) return `TICKER:${security.ticker_symbol.toUpperCase()}`;
+  if (security.cusip) return `CUSIP:${security.cusip}`;
+  if (security.isin) return `ISIN:${security.isin}`;
+  return `SECURITY:${security.security_id}`;
+};
+
+const shareEquivalent = (security, quantity) => {
+  return security?.option_contract ? quantity * OPTION_CONTRACT_MULTIPLIER : quantity;
+};
+
+// Flag loss sales with a substantially identical purchase within 30 days either side,
+// in any of the user's accounts. Each replacement share can only absorb one loss share,
+// matched in sale order against the earliest qualifying purchases.
+const detectWashSales = (realized, transactions, securitiesById) => {
+  const buys = transactions
+    .filter(t => t.type === 'buy' && t.subtype !== 'buy to cover' && Number(t.quantity) > 0)
+    .map(t => {
+      const security = securitiesById.get(t.security_id);
+      return {
+        transaction: t,
+        key: washSaleKey(security),
+        remaining: shareEquivalent(security, Number(t.quantity))
+      };
+    })
+    .filter(b => b.key)
+    .sort((a, b) => (a.transaction.date < b.transaction.date ? -1 : a.transaction.date > b.transaction.date ? 1 : 0));
+
+  // Lots sold in the same sale can't replace each other
+  const soldLotsBySale = new Map();
+  realized.forEach(row => {
+    if (!soldLotsBySale.has(row.sell_transaction_id)) soldLotsBySale.set(row.sell_transaction_id, new Set());
+    if (row.buy_transaction_id) soldLotsBySale.get(row.sell_transaction_id).add(row.buy_transaction_id);
+  });
+
+  // Only long disposals; closing a short at a loss isn't a sale of held shares
+  const lossPieces = realized
+    .filter(row => row.side === 'long' && row.gain !== null && row.gain < 0)
+    .sort((a, b) => (a.date_sold < b.date_sold ? -1 : a.date_sold > b.date_sold ? 1 : 0));
+
+  const washSales = [];
+
+  lossPieces.forEach(piece => {
+    const security = securitiesById.get(piece.security_id);
+    const key = washSaleKey(security);
+    if (!key) return;
+
+    const windowStart = addDays(piece.date_sold, -WASH_SALE_WINDOW_DAYS);
+    const windowEnd = addDays(piece.date_sold, WASH_SALE_WINDOW_DAYS);
+    const excluded = soldLotsBySale.get(piece.sell_transaction_id);
+
+    // Match in shares: an option loss or purchase counts 100 shares per contract
+    const lossShares = shareEquivalent(security, piece.quantity);
+    let unmatched = lossShares;
+    const replacements = [];
+
+    for (const buy of buys) {
+      if (unmatched <= QUANTITY_EPSILON) break;
+
+      const t = buy.transaction;
+      if (buy.key !== key || buy.remaining <= QUANTITY_EPSILON) continue;
+      if (t.date < windowStart || t.date > windowEnd) continue;
+      if (excluded.has(t.investment_transaction_id)) continue;
+
+      const matched = Math.min(unmatched, buy.remaining);
+      buy.remaining -= matched;
+      unmatched -= matched;
+
+      const disallowed = round2(Math.abs(piece.gain) * (matched / lossShares));
+      replacements.push({
+        buy_transaction_id: t.investment_transaction_id,
+        account_id: t.account_id,
+        security_id: t.security_id,
+        date: t.date,
+        // In shares of the underlying, not contracts
+        quantity_matched: matched,
+        basis_adjustment: disallowed,
+        // The replacement inherits the sold lot's holding period
+        holding_period_adjustment_days: Math.round((new Date(`${piece.date_sold}T00:00:00Z`) - new Date(`${piece.date_acquired}T00:00:00Z`)) / 86400000)
+      });
+    }
+
+    if (replacements.length === 0) return;
+
+    washSales.push({
+      sell_transaction_id: piece.sell_transaction_id,
+      sold_lot_transaction_id: piece.buy_transaction_id,
+      account_id: piece.account_id,
+      security_id: piece.security_id,
+      ticker_symbol: security?.ticker_symbol || null,
+      date_acquired: piece.date_acquired,
+      date_sold: piece.date_sold,
+      quantity: piece.quantity,
+      loss: piece.gain,
+      disallowed_loss: round2(replacements.reduce((sum, r) => sum + r.basis_adjustment, 0)),
+      cross_account: replacements.some(r => r.account_id !== piece.account_id),
+      replacements
+    });
+  });
+
+  return washSales;
+};
+
+// Per purchase, the wash sales it replaced in the purchase's own units
+const washSaleAdjustments = (washSales, securitiesById) => {
+  const adjustments = new Map();
+
+  washSales.forEach(washSale => washSale.replacements.forEach(replacement => {
+    const sharesPerUnit = shareEquivalent(securitiesById.get(replacement.security_id), 1);
+    if (!adjustments.has(replacement.buy_transaction_id)) adjustments.set(replacement.buy_transaction_id, []);
+    adjustments.get(replacement.buy_transaction_id).push({
+      quantity: replacement.quantity_matched / sharesPerUnit,
+      basis_adjustment: replacement.basis_adjustment,
+      holding_period_adjustment_days: replacement.holding_period_adjustment_days
+    });
+  }));
+
+  return adjustments;
+};
+
+// Chains of wash sales normally settle in two or three passes
+const WASH_SALE_MAX_PASSES = 5;
+
+// Disallowed loss per realized piece, keyed by sale and sold lot
+const disallowedLossByPiece = (washSales) => {
+  const byPiece = new Map();
+  washSales.forEach(w => {
+    const key = `${w.sell_transaction_id}:${w.sold_lot_transaction_id}`;
+    byPiece.set(key, round2((byPiece.get(key) || 0) + w.disallowed_loss));
+  });
+  return byPiece;
+};
+
+// computeLots with wash sale adjustments applied to the replacement lots. Adjusting
+// a replacement's basis changes the gain when it is sold, which can in turn change
+// which later sales are washed, so replay until the detected wash sales settle.
+const computeLotsWithWashSales = (transactions, securitiesById, options = {}) => {
+  let washSales = [];
+
+  for (let pass = 1; ; pass++) {
+    const result = computeLots(transactions, securitiesById, {
+      ...options,
+      washSaleAdjustments: washSaleAdjustments(washSales, securitiesById)
+    });
+    const detected = detectWashSales(result.realized, transactions, securitiesById);
+
+    if (JSON.stringify(detected) === JSON.stringify(washSales) || pass === WASH_SALE_MAX_PASSES) {
+      return { ...result, washSales: detected };
+    }
+    washSales = detected;
+  }
+};
+
+// =======================
+// PERFORMANCE
+// =======================
+
+// Chain-link sub-period returns between valuations. Flows are assumed to land at
+// the end of the day they're dated, so they're already in that day's value.
+const timeWeightedReturn = (points, flows) => {
+  let growth = 1;
+  let periods = 0;
+
+  for (let i = 1; i < points.length; i++) {
+    const previous = points[i - 1];
+    const current = points[i];
+    if (previous.value <= 0) continue;
+
+    const flow = flows
+      .filter(f => f.date > previous.date && f.date <= current.date)
+      .reduce((sum, f) => sum + f.amount, 0);
+
+    growth *= (current.value - flow) / previous.value;
+    periods++;
+  }
+
+  return periods > 0 ? growth - 1 : null;
+};
+
+const xnpv = (rate, cashFlows) => {
+  const start = cashFlows[0].date;
+  return cashFlows.reduce((sum, cf) => sum + cf.amount / Math.pow(1 + rate, daysBetween(start, cf.date) / 365), 0);
+};
+
+// Annualized money-weighted return. Newton's method first, bisection if it wanders off.
+const xirr = (cashFlows) => {
+  if (cashFlows.length < 2) return null;
+  if (!cashFlows.some(cf => cf.amount > 0) || !cashFlows.some(cf => cf.amount < 0)) return null;
+
+  let rate = 0.1;
+  for (let i = 0; i < 50; i++) {
+    const value = xnpv(rate, cashFlows);
+    const derivative = (xnpv(rate + 1e-6, cashFlows) - value) / 1e-6;
+    if (!Number.isFinite(derivative) || derivative === 0) break;
+
+    const next = rate - value / derivative;
+    if (!Number.isFinite(next) || next <= -1) break;
+    if (Math.abs(next - rate) < 1e-9) return next;
+    rate = next;
+  }
+
+  let low = -0.9999;
+  let high = 10;
+  if (xnpv(low, cashFlows) * xnpv(high, cashFlows) > 0) return null;
+
+  for (let i = 0; i < 200; i++) {
+    const mid = (low + high) / 2;
+    const value = xnpv(mid, cashFlows);
+    if (Math.abs(value) < 1e-7) return mid;
+    if (xnpv(low, cashFlows) * value < 0) high = mid;
+    else low = mid;
+  }
+
+  return (low + high) / 2;
+};
+
+// Investor-side cash flows: money put in is negative, the closing value is a payout
+const moneyWeightedReturn = (points, flows) => {
+  if (points.length < 2) return null;
+  const first = points[0];
+  const last = points[points.length - 1];
+
+  const cashFlows = [
+    { date: first.date, amount: -first.value },
+    ...flows
+      .filter(f => f.date > first.date && f.date <= last.date)
+      .map(f => ({ date: f.date, amount: -f.amount })),
+    { date: last.date, amount: last.value }
+  ];
+
+  return xirr(cashFlows.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0)));
+};
+
+const measurePerformance = (points, flows) => {
+  const first = points[0];
+  const last = points[points.length - 1];
+  const flowsInRange = first ? flows.filter(f => f.date > first.date && f.date <= last.date) : [];
+  const netFlows = flowsInRange.reduce((sum, f) => sum + f.amount, 0);
+  const twr = timeWeightedReturn(points, flows);
+  const days = first ? daysBetween(first.date, last.date) : 0;
+  const mwr = moneyWeightedReturn(points, flows);
+  const percent = (rate) => (rate === null ? null : Math.round(rate * 1000000) / 10000);
+
+  return {
+    start_date: first?.date || null,
+    end_date: last?.date || null,
+    start_value: first ? round2(first.value) : null,
+    end_value: last ? round2(last.value) : null,
+    deposits: round2(flowsInRange.filter(f => !f.linked && f.amount > 0).reduce((sum, f) => sum + f.amount, 0)),
+    withdrawals: round2(-flowsInRange.filter(f => !f.linked && f.amount < 0).reduce((sum, f) => sum + f.amount, 0)),
+    newly_linked_value: round2(flowsInRange.filter(f => f.linked).reduce((sum, f) => sum + f.amount, 0)),
+    investment_gain: first ? round2(last.value - first.value - netFlows) : null,
+    time_weighted_return_percent: percent(twr),
+    // Annualizing a partial year overstates short-run noise, so only do it past a year
+    time_weighted_return_annualized_percent: twr !== null && days >= 365 ? percent(Math.pow(1 + twr, 365 / days) - 1) : null,
+    money_weighted_return_percent: percent(mwr)
+  };
+};
+
+module.exports = {
+  toDateString,
+  addDays,
+  daysBetween,
+  COST_BASIS_METHODS,
+  QUANTITY_EPSILON,
+  OPTION_CONTRACT_MULTIPLIER,
+  CONTRACT_CLOSURE_SUBTYPES,
+  round2,
+  holdingTerm,
+  transactionValue,
+  isCashSecurity,
+  computeLots,
+  summarizeGains,
+  detectWashSales,
+  disallowedLossByPiece,
+  computeLotsWithWashSales,
+  timeWeightedReturn,
+  xirr,
+  moneyWeightedReturn,
+  measurePerformance
+};
@@ -6,9 +6,28 @@ const rateLimit = require('express-rate-limit');
 const compression = require('compression');
 const morgan = require('morgan');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const { createClient } = require('@supabase/supabase-js');
+const PDFDocument = require('pdfkit');
+const {
+  toDateString,
+  addDays,
+  daysBetween,
+  COST_BASIS_METHODS,
+  QUANTITY_EPSILON,
+  OPTION_CONTRACT_MULTIPLIER,
+  CONTRACT_CLOSURE_SUBTYPES,
+  round2,
+  holdingTerm,
+  isCashSecurity,
+  computeLots,
+  summarizeGains,
+  disallowedLossByPiece,
+  computeLotsWithWashSales,
+  measurePerformance
+} = require('./lib/portfolio-math');
 require('dotenv').config();
 
 const app = express();
@@ -25,6 +44,14 @@ app.use(helmet({
 // Compression
 app.use(compression());
 
+// Request IDs tie log lines and audit events to a single request
+app.use((req, res, next) => {
+  const incoming = req.headers['x-request-id'];
+  req.id = typeof incoming === 'string' && /^[\w-]{1,64}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.setHeader('X-Request-Id', req.id);
+  next();
+});
+
 // Logging
 app.use(morgan('combined'));
 
@@ -38,6 +65,8 @@ const limiter = rateLimit({
   },
   standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
   legacyHeaders: false, // Disable the `X-RateLimit-*` headers
+  // Plaid delivers webhooks in bursts from shared IPs; they are authenticated by signature instead
+  skip: (req) => req.path === '/plaid/webhook',
 });
 
 app.use('/api', limiter);
@@ -60,11 +89,18 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-Id'],
+  exposedHeaders: ['X-Request-Id', 'X-Failed-Items'],
 };
 
 app.use(cors(corsOptions));
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    // Keep the raw body around for webhook signature verification
+    req.rawBody = buf;
+  }
+}));
 
 // =======================
 // EXTERNAL SERVICE CLIENTS
@@ -117,6 +153,22 @@ const authenticateToken = async (req, res, next) => {
     // Verify JWT token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Verify the token's session hasn't been revoked
+    const tokenHash = hashToken(token);
+    const { data: session, error: sessionError } = await supabase
+      .from('user_api_sessions')
+      .select('id, user_id, is_active, expires_at')
+      .eq('token_hash', tokenHash)
+      .maybeSingle();
+
+    if (sessionError || !session || !session.is_active ||
+        session.user_id !== decoded.userId || new Date(session.expires_at) <= new Date()) {
+      return res.status(401).json({
+        error: 'SESSION_REVOKED',
+        message: 'This session has been signed out or has expired'
+      });
+    }
+
     // Verify user exists in Supabase
     const { data: user, error } = await supabase
       .from('profiles')
@@ -137,6 +189,16 @@ const authenticateToken = async (req, res, next) => {
       email: user.email,
       name: user.name
     };
+    req.session = { id: session.id };
+
+    // Best effort; a failed touch shouldn't block the request
+    supabase
+      .from('user_api_sessions')
+      .update({ last_used_at: new Date().toISOString() })
+      .eq('id', session.id)
+      .then(({ error: touchError }) => {
+        if (touchError) console.error('Failed to update session last_used_at:', touchError.message);
+      });
 
     next();
   } catch (error) {
@@ -167,18 +229,563 @@ const validateErrors = (req, res, next) => {
 // UTILITY FUNCTIONS
 // =======================
 
+// Access tokens are short-lived; clients renew them with a refresh token
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_EXPIRES_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+
 const generateJWT = (userId) => {
   return jwt.sign(
     { userId },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
+    {
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+      jwtid: crypto.randomUUID() // Keeps token hashes unique within the same second
+    }
   );
 };
 
+// Resolve a Supabase Auth access token to its user, or null if it isn't valid.
+// With SUPABASE_JWT_SECRET set the token is checked locally; otherwise Supabase Auth is asked.
+const verifySupabaseAccessToken = async (accessToken) => {
+  if (process.env.SUPABASE_JWT_SECRET) {
+    try {
+      const claims = jwt.verify(accessToken, process.env.SUPABASE_JWT_SECRET, {
+        algorithms: ['HS256'],
+        audience: 'authenticated'
+      });
+      return claims.sub ? { id: claims.sub, email: claims.email || null } : null;
+    } catch (error) {
+      console.warn('Supabase token verification failed:', error.message);
+      return null;
+    }
+  }
+
+  const { data, error } = await supabase.auth.getUser(accessToken);
+  if (error || !data?.user) {
+    return null;
+  }
+
+  return { id: data.user.id, email: data.user.email || null };
+};
+
+// Sessions are stored by token hash so a database leak doesn't leak usable tokens
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+// Opaque refresh tokens are stored hashed; each one can be exchanged exactly once
+const issueRefreshToken = async (userId, sessionId, parentId = null) => {
+  const refreshToken = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = refreshExpiry();
+
+  const { error } = await supabase
+    .from('user_refresh_tokens')
+    .insert({
+      user_id: userId,
+      session_id: sessionId,
+      parent_id: parentId,
+      token_hash: hashToken(refreshToken),
+      expires_at: expiresAt
+    });
+
+  if (error) {
+    throw new Error(`Failed to store refresh token: ${error.message}`);
+  }
+
+  return { refreshToken, expiresAt };
+};
+
+// Issue an access/refresh token pair and record a revocable session in user_api_sessions.
+// The session lives as long as its refresh tokens; the session row always holds the hash
+// of the newest access token, and all refresh tokens for a session form one family.
+const createSession = async (userId, req) => {
+  const token = generateJWT(userId);
+
+  const { data: session, error } = await supabase
+    .from('user_api_sessions')
+    .insert({
+      user_id: userId,
+      token_hash: hashToken(token),
+      device_info: (req.body.device_info || req.headers['user-agent'] || '').slice(0, 255) || null,
+      ip_address: req.ip,
+      expires_at: refreshExpiry(),
+      is_active: true
+    })
+    .select('id, expires_at')
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to record session: ${error.message}`);
+  }
+
+  const { refreshToken, expiresAt } = await issueRefreshToken(userId, session.id);
+
+  return { token, refreshToken, refreshExpiresAt: expiresAt, session };
+};
+
+// Kill a session and every refresh token in its family
+const revokeSessionFamily = async (sessionId) => {
+  const now = new Date().toISOString();
+
+  const { error: sessionError } = await supabase
+    .from('user_api_sessions')
+    .update({ is_active: false })
+    .eq('id', sessionId);
+
+  const { error: tokenError } = await supabase
+    .from('user_refresh_tokens')
+    .update({ revoked_at: now })
+    .eq('session_id', sessionId)
+    .is('revoked_at', null);
+
+  if (sessionError || tokenError) {
+    throw new Error(`Failed to revoke session ${sessionId}: ${(sessionError || tokenError).message}`);
+  }
+};
+
 const logRequest = (req, action) => {
   console.log(`🔒 [${new Date().toISOString()}] ${action} - User: ${req.user?.id || 'Anonymous'} - IP: ${req.ip}`);
 };
 
+// Append a security event to audit_events. Never throws: a failed audit write is
+// logged loudly but doesn't fail the user's request.
+const recordAudit = async (req, action, { outcome = 'success', userId, itemId = null, metadata = null } = {}) => {
+  const { error } = await supabase
+    .from('audit_events')
+    .insert({
+      actor_user_id: userId || req.user?.id || null,
+      action,
+      outcome,
+      item_id: itemId,
+      ip_address: req.ip,
+      user_agent: (req.headers['user-agent'] || '').slice(0, 512) || null,
+      request_id: req.id,
+      metadata
+    });
+
+  if (error) {
+    console.error(`💥 Failed to write audit event ${action}:`, error.message);
+  }
+};
+
+const INSTITUTION_COLUMNS = 'institution_id, institution_name, institution_logo, institution_primary_color, institution_url';
+
+// Looks up the item's institution; returns user_plaid_tokens columns
+const fetchInstitutionMetadata = async (accessToken) => {
+  const itemResponse = await plaidClient.itemGet({ access_token: accessToken });
+  const institutionId = itemResponse.data.item.institution_id;
+
+  if (!institutionId) {
+    return {};
+  }
+
+  const institutionResponse = await plaidClient.institutionsGetById({
+    institution_id: institutionId,
+    country_codes: ['US'],
+    options: { include_optional_metadata: true }
+  });
+  const institution = institutionResponse.data.institution;
+
+  return {
+    institution_id: institution.institution_id,
+    institution_name: institution.name,
+    institution_logo: institution.logo || null,
+    institution_primary_color: institution.primary_color || null,
+    institution_url: institution.url || null
+  };
+};
+
+const institutionFromRow = (row) => ({
+  institution_id: row.institution_id || null,
+  name: row.institution_name || null,
+  logo: row.institution_logo || null,
+  primary_color: row.institution_primary_color || null,
+  url: row.institution_url || null
+});
+
+// Tag Plaid accounts with the item and institution they came from
+const withInstitution = (accounts, row) => {
+  return accounts.map(account => ({
+    ...account,
+    item_id: row.item_id,
+    institution_id: row.institution_id || null,
+    institution_name: row.institution_name || null
+  }));
+};
+
+// Load one of the user's active items, including its encrypted access token
+const getActiveItem = async (userId, itemId) => {
+  const { data, error } = await supabase
+    .from('user_plaid_tokens')
+    .select('access_token, access_token_data_key, access_token_key_id, item_id, institution_name, item_status')
+    .eq('user_id', userId)
+    .eq('item_id', itemId)
+    .eq('is_active', true)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return data;
+};
+
+const updateItemByItemId = async (itemId, fields) => {
+  const { error } = await supabase
+    .from('user_plaid_tokens')
+    .update(fields)
+    .eq('item_id', itemId);
+
+  if (error) {
+    throw new Error(`Failed to update item ${itemId}: ${error.message}`);
+  }
+};
+
+// Record successful Plaid usage; failures here shouldn't break the response
+const markItemsUsed = async (userId, itemIds) => {
+  if (itemIds.length === 0) return;
+
+  const { error } = await supabase
+    .from('user_plaid_tokens')
+    .update({ last_used_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .in('item_id', itemIds);
+
+  if (error) {
+    console.error('Failed to update last_used_at:', error.message);
+  }
+
+  // A successful pull proves an errored item has recovered
+  const { error: statusError } = await supabase
+    .from('user_plaid_tokens')
+    .update({ item_status: 'healthy', error_code: null })
+    .eq('user_id', userId)
+    .in('item_id', itemIds)
+    .in('item_status', ['error', 'login_required']);
+
+  if (statusError) {
+    console.error('Failed to clear item error state:', statusError.message);
+  }
+
+  // Transient failures leave only an error_code behind
+  const { error: codeError } = await supabase
+    .from('user_plaid_tokens')
+    .update({ error_code: null })
+    .eq('user_id', userId)
+    .in('item_id', itemIds)
+    .in('item_status', ['healthy', 'pending_expiration']);
+
+  if (codeError) {
+    console.error('Failed to clear item error code:', codeError.message);
+  }
+};
+
+// Plaid error codes that only the user can fix by going through Link update mode
+const USER_ACTION_ERROR_CODES = [
+  'ITEM_LOGIN_REQUIRED',
+  'INVALID_CREDENTIALS',
+  'INVALID_MFA',
+  'INVALID_UPDATED_USERNAME',
+  'ITEM_LOCKED',
+  'ITEM_NOT_SUPPORTED',
+  'INSUFFICIENT_CREDENTIALS',
+  'MFA_NOT_SUPPORTED',
+  'NO_ACCOUNTS',
+  'NO_INVESTMENT_ACCOUNTS',
+  'USER_SETUP_REQUIRED',
+  'ACCESS_NOT_GRANTED',
+  'PENDING_EXPIRATION'
+];
+
+// Item status for an error the user has to fix in Link update mode
+const userActionItemStatus = (errorCode) => {
+  if (errorCode === 'ITEM_LOGIN_REQUIRED') return 'login_required';
+  if (errorCode === 'PENDING_EXPIRATION') return 'pending_expiration';
+  return 'error';
+};
+
+// Describe a failed item for the client and record the failure on its token row.
+// Only errors the user can fix change item_status; outages, rate limits and local
+// failures are recorded by code alone so the app doesn't ask for a pointless relink.
+const recordItemFailure = async (tokenInfo, error) => {
+  const plaidError = error.response?.data || {};
+  const errorCode = plaidError.error_code || 'UNKNOWN_ERROR';
+  const requiresUserAction = USER_ACTION_ERROR_CODES.includes(errorCode);
+
+  try {
+    await updateItemByItemId(tokenInfo.item_id, requiresUserAction ?
+      { item_status: userActionItemStatus(errorCode), error_code: errorCode } :
+      { error_code: errorCode });
+  } catch (updateError) {
+    console.error('Failed to record item failure:', updateError.message);
+  }
+
+  const { body: translated } = translatePlaidError(error, {
+    error: 'ITEM_FETCH_FAILED',
+    display_message: 'Unable to fetch data from this account.'
+  });
+
+  return {
+    item_id: tokenInfo.item_id,
+    institution_name: tokenInfo.institution_name || null,
+    error_code: errorCode,
+    error_type: plaidError.error_type || 'API_ERROR',
+    app_error: translated.error,
+    display_message: translated.display_message,
+    requires_user_action: requiresUserAction
+  };
+};
+
+// =======================
+// PLAID ERROR TRANSLATION
+// =======================
+
+// Specific Plaid error codes we surface with their own status and app error code
+const PLAID_ERROR_CODES = {
+  INVALID_PUBLIC_TOKEN: {
+    status: 400,
+    error: 'PUBLIC_TOKEN_INVALID',
+    display_message: 'This connection attempt has expired. Please connect your account again.'
+  },
+  INVALID_ACCESS_TOKEN: {
+    status: 409,
+    error: 'ITEM_ACCESS_INVALID',
+    display_message: 'This account connection is no longer valid. Please reconnect it.'
+  },
+  ITEM_NOT_FOUND: {
+    status: 404,
+    error: 'ITEM_NOT_FOUND',
+    display_message: 'This account is no longer connected.'
+  },
+  ITEM_LOGIN_REQUIRED: {
+    status: 409,
+    error: 'ITEM_LOGIN_REQUIRED',
+    display_message: 'Your brokerage login has changed or expired. Please reconnect this account.'
+  },
+  PENDING_EXPIRATION: {
+    status: 409,
+    error: 'ITEM_PENDING_EXPIRATION',
+    display_message: 'Access to this account is about to expire. Please reconnect it.'
+  },
+  NO_INVESTMENT_ACCOUNTS: {
+    status: 422,
+    error: 'NO_INVESTMENT_ACCOUNTS',
+    display_message: 'No investment accounts were found at this institution.'
+  },
+  PRODUCT_NOT_READY: {
+    status: 503,
+    error: 'DATA_NOT_READY',
+    display_message: 'Your account data is still being prepared. Please try again in a few minutes.'
+  },
+  RATE_LIMIT_EXCEEDED: {
+    status: 429,
+    error: 'PLAID_RATE_LIMITED',
+    display_message: 'Too many requests right now. Please wait a moment and try again.'
+  },
+  INSTITUTION_DOWN: {
+    status: 503,
+    error: 'INSTITUTION_UNAVAILABLE',
+    display_message: 'Your brokerage is temporarily unavailable. Please try again later.'
+  },
+  INSTITUTION_NOT_RESPONDING: {
+    status: 503,
+    error: 'INSTITUTION_UNAVAILABLE',
+    display_message: 'Your brokerage is temporarily unavailable. Please try again later.'
+  },
+  INSTITUTION_NOT_AVAILABLE: {
+    status: 503,
+    error: 'INSTITUTION_UNAVAILABLE',
+    display_message: 'Your brokerage is temporarily unavailable. Please try again later.'
+  }
+};
+
+// Fallbacks by Plaid error_type when the code isn't listed above
+const PLAID_ERROR_TYPES = {
+  INVALID_REQUEST: { status: 400, error: 'PLAID_INVALID_REQUEST' },
+  INVALID_INPUT: { status: 400, error: 'PLAID_INVALID_INPUT' },
+  INVALID_RESULT: { status: 502, error: 'PLAID_INVALID_RESULT' },
+  ITEM_ERROR: { status: 409, error: 'ITEM_ERROR' },
+  INSTITUTION_ERROR: { status: 503, error: 'INSTITUTION_UNAVAILABLE' },
+  RATE_LIMIT_EXCEEDED: { status: 429, error: 'PLAID_RATE_LIMITED' },
+  API_ERROR: { status: 502, error: 'PLAID_API_ERROR' }
+};
+
+// Map a thrown error to an HTTP status and response body. Non-Plaid errors
+// (database, encryption, bugs) get the route's fallback as a 500.
+const translatePlaidError = (error, fallback) => {
+  const plaidError = error.response?.data;
+
+  if (!plaidError?.error_code) {
+    return { status: 500, body: fallback };
+  }
+
+  const mapped = PLAID_ERROR_CODES[plaidError.error_code] ||
+    PLAID_ERROR_CODES[plaidError.error_type] ||
+    PLAID_ERROR_TYPES[plaidError.error_type] ||
+    { status: 500, error: fallback.error };
+
+  return {
+    status: mapped.status,
+    body: {
+      error: mapped.error,
+      message: fallback.message,
+      display_message: plaidError.display_message || mapped.display_message || fallback.display_message,
+      plaid_error_type: plaidError.error_type,
+      plaid_error_code: plaidError.error_code,
+      plaid_request_id: plaidError.request_id
+    }
+  };
+};
+
+const sendPlaidError = (res, error, fallback) => {
+  const { status, body } = translatePlaidError(error, fallback);
+  return res.status(status).json(body);
+};
+
+// Every item failed. When they all failed the same way, answer with that Plaid
+// error (e.g. 409 for ITEM_LOGIN_REQUIRED) rather than the route's blanket 500.
+const sendAllItemsFailed = (res, failedItems, fallback) => {
+  const [first] = failedItems;
+  const shared = first && first.error_code !== 'UNKNOWN_ERROR' &&
+    failedItems.every(f => f.error_code === first.error_code);
+  const error = shared ?
+    { response: { data: { error_code: first.error_code, error_type: first.error_type, display_message: first.display_message } } } :
+    {};
+
+  const { status, body } = translatePlaidError(error, fallback);
+  return res.status(status).json({ ...body, failed_items: failedItems });
+};
+
+// =======================
+// ACCESS TOKEN ENCRYPTION
+// =======================
+
+// Envelope encryption: each access token is sealed with its own random data key,
+// and the data key is sealed with a versioned master key from TOKEN_ENCRYPTION_KEYS
+// ("v1:<base64 32 bytes>,v2:<base64 32 bytes>"). Rotating the master key only
+// re-wraps data keys; see reencryptAccessTokens().
+const loadMasterKeys = () => {
+  const keys = new Map();
+
+  (process.env.TOKEN_ENCRYPTION_KEYS || '').split(',').map(s => s.trim()).filter(Boolean).forEach(entry => {
+    const separator = entry.indexOf(':');
+    const keyId = entry.slice(0, separator);
+    const key = Buffer.from(entry.slice(separator + 1), 'base64');
+
+    if (separator <= 0 || key.length !== 32) {
+      throw new Error(`Invalid TOKEN_ENCRYPTION_KEYS entry for key "${keyId || entry}"`);
+    }
+    keys.set(keyId, key);
+  });
+
+  return keys;
+};
+
+const masterKeys = loadMasterKeys();
+const currentMasterKeyId = process.env.TOKEN_ENCRYPTION_KEY_ID || Array.from(masterKeys.keys()).pop();
+
+const seal = (key, plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), ciphertext].map(b => b.toString('base64')).join('.');
+};
+
+const unseal = (key, sealed) => {
+  const [iv, tag, ciphertext] = sealed.split('.').map(s => Buffer.from(s, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+};
+
+const getMasterKey = (keyId) => {
+  const key = masterKeys.get(keyId);
+  if (!key) {
+    throw new Error(`Unknown token encryption key: ${keyId}`);
+  }
+  return key;
+};
+
+// Returns the columns to store on user_plaid_tokens
+const encryptAccessToken = (accessToken) => {
+  const dataKey = crypto.randomBytes(32);
+
+  return {
+    access_token: seal(dataKey, Buffer.from(accessToken, 'utf8')),
+    access_token_data_key: seal(getMasterKey(currentMasterKeyId), dataKey),
+    access_token_key_id: currentMasterKeyId
+  };
+};
+
+// Accepts a user_plaid_tokens row; rows written before encryption have no key ID
+const decryptAccessToken = (row) => {
+  if (!row.access_token_key_id) {
+    return row.access_token;
+  }
+
+  const dataKey = unseal(getMasterKey(row.access_token_key_id), row.access_token_data_key);
+  return unseal(dataKey, row.access_token).toString('utf8');
+};
+
+// Re-wraps every data key not sealed with the current master key, and encrypts
+// any legacy plaintext rows. Run with `npm run reencrypt-tokens` after adding a new key.
+const reencryptAccessTokens = async () => {
+  const batchSize = 500;
+  let updated = 0;
+  let failed = 0;
+  let lastId = '00000000-0000-0000-0000-000000000000';
+
+  for (;;) {
+    const { data: rows, error } = await supabase
+      .from('user_plaid_tokens')
+      .select('id, access_token, access_token_data_key, access_token_key_id')
+      .or(`access_token_key_id.is.null,access_token_key_id.neq.${currentMasterKeyId}`)
+      .gt('id', lastId)
+      .order('id')
+      .limit(batchSize);
+
+    if (error) {
+      throw new Error(`Failed to load tokens for re-encryption: ${error.message}`);
+    }
+
+    for (const row of rows) {
+      lastId = row.id;
+      try {
+        const fields = row.access_token_key_id ?
+          {
+            access_token_data_key: seal(
+              getMasterKey(currentMasterKeyId),
+              unseal(getMasterKey(row.access_token_key_id), row.access_token_data_key)
+            ),
+            access_token_key_id: currentMasterKeyId
+          } :
+          encryptAccessToken(row.access_token);
+
+        const { error: updateError } = await supabase
+          .from('user_plaid_tokens')
+          .update(fields)
+          .eq('id', row.id);
+
+        if (updateError) {
+          throw new Error(updateError.message);
+        }
+        updated++;
+      } catch (rowError) {
+        console.error(`❌ Failed to re-encrypt token ${row.id}:`, rowError.message);
+        failed++;
+      }
+    }
+
+    if (rows.length < batchSize) {
+      break;
+    }
+  }
+
+  return { updated, failed, key_id: currentMasterKeyId };
+};
+
 // =======================
 // PUBLIC ENDPOINTS
 // =======================
@@ -202,7 +809,8 @@ app.get('/health', (req, res) => {
     timestamp: new Date().toISOString(),
     plaid_configured: !!(process.env.PLAID_CLIENT_ID && process.env.PLAID_SECRET),
     supabase_configured: !!(process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_ROLE_KEY),
-    jwt_configured: !!process.env.JWT_SECRET
+    jwt_configured: !!process.env.JWT_SECRET,
+    token_encryption_configured: masterKeys.has(currentMasterKeyId)
   });
 });
 
@@ -211,19 +819,43 @@ app.get('/health', (req, res) => {
 // =======================
 
 // Login/Create JWT token endpoint
+// Requires a Supabase Auth access token; our JWT is only issued for its verified subject
 app.post('/api/auth/login', [
-  body('userId').isUUID().withMessage('Valid user ID is required'),
-  body('email').isEmail().withMessage('Valid email is required'),
+  body('supabase_access_token').isString().notEmpty().withMessage('Supabase access token is required'),
+  body('userId').optional().isUUID().withMessage('Valid user ID is required'),
+  body('email').optional().isEmail().withMessage('Valid email is required'),
+  body('device_info').optional().isString().isLength({ max: 255 }),
 ], validateErrors, async (req, res) => {
   try {
-    const { userId, email } = req.body;
+    const { supabase_access_token, userId, email } = req.body;
+
+    const authUser = await verifySupabaseAccessToken(supabase_access_token);
+
+    if (!authUser) {
+      console.warn(`⚠️ Rejected login with invalid Supabase token - IP: ${req.ip}`);
+      await recordAudit(req, 'LOGIN', { outcome: 'denied', metadata: { reason: 'invalid_supabase_token' } });
+      return res.status(401).json({
+        error: 'INVALID_CREDENTIALS',
+        message: 'Supabase session is invalid or expired'
+      });
+    }
+
+    // Older clients still send userId/email; they must agree with the verified session
+    if ((userId && userId !== authUser.id) ||
+        (email && authUser.email && email.toLowerCase() !== authUser.email.toLowerCase())) {
+      console.warn(`⚠️ Login identity mismatch for ${authUser.id} - IP: ${req.ip}`);
+      await recordAudit(req, 'LOGIN', { outcome: 'denied', userId: authUser.id, metadata: { reason: 'identity_mismatch' } });
+      return res.status(401).json({
+        error: 'INVALID_CREDENTIALS',
+        message: 'Supabase session does not match the requested user'
+      });
+    }
 
     // Verify user exists in Supabase
     const { data: user, error } = await supabase
       .from('profiles')
       .select('id, email, name')
-      .eq('id', userId)
-      .eq('email', email)
+      .eq('id', authUser.id)
       .single();
 
     if (error || !user) {
@@ -233,10 +865,11 @@ app.post('/api/auth/login', [
       });
     }
 
-    // Generate JWT token
-    const token = generateJWT(userId);
+    // Generate JWT token and its revocable session
+    const { token, refreshToken, refreshExpiresAt, session } = await createSession(user.id, req);
 
     console.log(`✅ User authenticated: ${user.name} (${user.email})`);
+    await recordAudit(req, 'LOGIN', { userId: user.id, metadata: { session_id: session.id } });
 
     res.json({
       token,
@@ -245,7 +878,10 @@ app.post('/api/auth/login', [
         email: user.email,
         name: user.name
       },
-      expires_in: process.env.JWT_EXPIRES_IN || '7d'
+      expires_in: ACCESS_TOKEN_EXPIRES_IN,
+      refresh_token: refreshToken,
+      refresh_expires_at: refreshExpiresAt,
+      session_id: session.id
     });
 
   } catch (error) {
@@ -265,81 +901,370 @@ app.get('/api/auth/validate', authenticateToken, (req, res) => {
   });
 });
 
-// =======================
-// SECURE PLAID ENDPOINTS
-// =======================
-
-// Create Plaid Link Token (Secure)
-app.post('/api/plaid/create-link-token', [
-  body('user_id').optional().isString(),
-  body('redirect_uri').optional().isURL(),
-], validateErrors, authenticateToken, async (req, res) => {
+// Refresh: trade a refresh token for a new access/refresh pair.
+// Presenting an already-used refresh token means it leaked, so the whole family is revoked.
+app.post('/api/auth/refresh', [
+  body('refresh_token').isString().notEmpty().withMessage('Refresh token is required'),
+], validateErrors, async (req, res) => {
   try {
-    logRequest(req, 'CREATE_LINK_TOKEN');
+    const { data: stored, error } = await supabase
+      .from('user_refresh_tokens')
+      .select('id, user_id, session_id, expires_at, used_at, revoked_at')
+      .eq('token_hash', hashToken(req.body.refresh_token))
+      .maybeSingle();
 
-    const linkTokenConfig = {
-      user: {
-        client_user_id: req.user.id // Use authenticated user's ID
-      },
-      client_name: "TradeLog",
-      products: ['investments'],
-      country_codes: ['US'],
-      language: 'en'
-    };
+    if (error) {
+      throw new Error(error.message);
+    }
 
-    // Add redirect URI if provided
-    const redirectUri = req.body.redirect_uri || 'tradelog://plaid-success';
-    if (redirectUri) {
-      linkTokenConfig.redirect_uri = redirectUri;
+    if (!stored) {
+      return res.status(401).json({
+        error: 'INVALID_REFRESH_TOKEN',
+        message: 'Refresh token is invalid'
+      });
     }
 
-    // Investment configuration
-    linkTokenConfig.investments = {
-      allow_unverified_crypto_wallets: false,
-      allow_manual_entry: false
-    };
+    if (stored.revoked_at && !stored.used_at) {
+      return res.status(401).json({
+        error: 'REFRESH_TOKEN_REVOKED',
+        message: 'This session has been signed out. Please sign in again.'
+      });
+    }
 
-    const response = await plaidClient.linkTokenCreate(linkTokenConfig);
+    if (stored.used_at) {
+      console.warn(`🚨 Refresh token reuse detected for session ${stored.session_id} - User: ${stored.user_id} - IP: ${req.ip}`);
+      await revokeSessionFamily(stored.session_id);
+      await recordAudit(req, 'REFRESH_TOKEN_REUSE', {
+        outcome: 'denied',
+        userId: stored.user_id,
+        metadata: { session_id: stored.session_id }
+      });
+      return res.status(401).json({
+        error: 'REFRESH_TOKEN_REUSED',
+        message: 'Refresh token was already used; the session has been revoked. Please sign in again.'
+      });
+    }
+
+    if (new Date(stored.expires_at) <= new Date()) {
+      return res.status(401).json({
+        error: 'REFRESH_TOKEN_EXPIRED',
+        message: 'Refresh token has expired. Please sign in again.'
+      });
+    }
+
+    // Claim the token; if a concurrent request got there first this is a reuse
+    const { data: claimed, error: claimError } = await supabase
+      .from('user_refresh_tokens')
+      .update({ used_at: new Date().toISOString() })
+      .eq('id', stored.id)
+      .is('used_at', null)
+      .select('id');
 
-    console.log(`✅ Link token created for user: ${req.user.name}`);
+    if (claimError) {
+      throw new Error(claimError.message);
+    }
+
+    if (claimed.length === 0) {
+      await revokeSessionFamily(stored.session_id);
+      await recordAudit(req, 'REFRESH_TOKEN_REUSE', {
+        outcome: 'denied',
+        userId: stored.user_id,
+        metadata: { session_id: stored.session_id }
+      });
+      return res.status(401).json({
+        error: 'REFRESH_TOKEN_REUSED',
+        message: 'Refresh token was already used; the session has been revoked. Please sign in again.'
+      });
+    }
+
+    const { data: session, error: sessionError } = await supabase
+      .from('user_api_sessions')
+      .select('id, is_active')
+      .eq('id', stored.session_id)
+      .maybeSingle();
+
+    if (sessionError || !session || !session.is_active) {
+      return res.status(401).json({
+        error: 'SESSION_REVOKED',
+        message: 'This session has been signed out or has expired'
+      });
+    }
+
+    const token = generateJWT(stored.user_id);
+    const { refreshToken, expiresAt } = await issueRefreshToken(stored.user_id, session.id, stored.id);
+
+    const { error: updateError } = await supabase
+      .from('user_api_sessions')
+      .update({
+        token_hash: hashToken(token),
+        expires_at: expiresAt,
+        last_used_at: new Date().toISOString(),
+        ip_address: req.ip
+      })
+      .eq('id', session.id);
+
+    if (updateError) {
+      throw new Error(updateError.message);
+    }
 
     res.json({
-      link_token: response.data.link_token,
-      expiration: response.data.expiration,
-      request_id: response.data.request_id
+      token,
+      expires_in: ACCESS_TOKEN_EXPIRES_IN,
+      refresh_token: refreshToken,
+      refresh_expires_at: expiresAt,
+      session_id: session.id
     });
 
   } catch (error) {
-    console.error('❌ Link token creation failed:', error.message);
+    console.error('Token refresh error:', error.message);
     res.status(500).json({
-      error: 'LINK_TOKEN_CREATE_FAILED',
-      message: 'Failed to create link token',
-      display_message: 'Unable to connect to Plaid. Please try again.'
+      error: 'TOKEN_REFRESH_FAILED',
+      message: 'Failed to refresh access token'
     });
   }
 });
 
-// Exchange Public Token for Access Token (Secure)
-app.post('/api/plaid/exchange-public-token', [
-  body('public_token').notEmpty().withMessage('Public token is required'),
-], validateErrors, authenticateToken, async (req, res) => {
+// Logout: revoke the session for the presented token
+app.post('/api/auth/logout', authenticateToken, async (req, res) => {
   try {
-    logRequest(req, 'EXCHANGE_PUBLIC_TOKEN');
-
-    const { public_token } = req.body;
+    await revokeSessionFamily(req.session.id);
 
-    const response = await plaidClient.itemPublicTokenExchange({
-      public_token,
-    });
+    console.log(`👋 Session ${req.session.id} signed out for user: ${req.user.name}`);
+    await recordAudit(req, 'LOGOUT', { metadata: { session_id: req.session.id } });
 
-    const { access_token, item_id } = response.data;
+    res.json({ success: true, message: 'Signed out successfully' });
+
+  } catch (error) {
+    console.error('Logout error:', error.message);
+    res.status(500).json({
+      error: 'LOGOUT_FAILED',
+      message: 'Failed to sign out'
+    });
+  }
+});
+
+// Logout everywhere: revoke every active session for the user
+app.post('/api/auth/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const { data: revoked, error } = await supabase
+      .from('user_api_sessions')
+      .update({ is_active: false })
+      .eq('user_id', req.user.id)
+      .eq('is_active', true)
+      .select('id');
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    const { error: tokenError } = await supabase
+      .from('user_refresh_tokens')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('user_id', req.user.id)
+      .is('revoked_at', null);
+
+    if (tokenError) {
+      throw new Error(tokenError.message);
+    }
+
+    console.log(`👋 ${revoked.length} session(s) signed out for user: ${req.user.name}`);
+    await recordAudit(req, 'LOGOUT_ALL', { metadata: { revoked_sessions: revoked.length } });
+
+    res.json({
+      success: true,
+      revoked_sessions: revoked.length,
+      message: 'Signed out of all devices'
+    });
+
+  } catch (error) {
+    console.error('Logout-all error:', error.message);
+    res.status(500).json({
+      error: 'LOGOUT_FAILED',
+      message: 'Failed to sign out of all devices'
+    });
+  }
+});
+
+// List the user's active device sessions
+app.get('/api/auth/sessions', authenticateToken, async (req, res) => {
+  try {
+    const { data: sessions, error } = await supabase
+      .from('user_api_sessions')
+      .select('id, device_info, ip_address, created_at, last_used_at, expires_at')
+      .eq('user_id', req.user.id)
+      .eq('is_active', true)
+      .gt('expires_at', new Date().toISOString())
+      .order('last_used_at', { ascending: false });
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    res.json({
+      sessions: sessions.map(session => ({
+        ...session,
+        current: session.id === req.session.id
+      })),
+      total_sessions: sessions.length
+    });
+
+  } catch (error) {
+    console.error('Session listing error:', error.message);
+    res.status(500).json({
+      error: 'SESSIONS_FETCH_FAILED',
+      message: 'Failed to fetch sessions'
+    });
+  }
+});
+
+// Revoke one of the user's sessions (e.g. a lost device)
+app.delete('/api/auth/sessions/:session_id', [
+  param('session_id').isUUID().withMessage('Valid session ID is required'),
+], validateErrors, authenticateToken, async (req, res) => {
+  try {
+    const { data: revoked, error } = await supabase
+      .from('user_api_sessions')
+      .update({ is_active: false })
+      .eq('id', req.params.session_id)
+      .eq('user_id', req.user.id)
+      .eq('is_active', true)
+      .select('id');
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    if (revoked.length === 0) {
+      return res.status(404).json({
+        error: 'SESSION_NOT_FOUND',
+        message: 'No active session with that ID'
+      });
+    }
+
+    await revokeSessionFamily(req.params.session_id);
+    await recordAudit(req, 'SESSION_REVOKE', { metadata: { session_id: req.params.session_id } });
+
+    res.json({ success: true, session_id: req.params.session_id });
+
+  } catch (error) {
+    console.error('Session revoke error:', error.message);
+    res.status(500).json({
+      error: 'SESSION_REVOKE_FAILED',
+      message: 'Failed to revoke session'
+    });
+  }
+});
+
+// =======================
+// SECURE PLAID ENDPOINTS
+// =======================
+
+// Create Plaid Link Token (Secure)
+app.post('/api/plaid/create-link-token', [
+  body('user_id').optional().isString(),
+  body('redirect_uri').optional().isURL(),
+  body('item_id').optional().isString().notEmpty(),
+], validateErrors, authenticateToken, async (req, res) => {
+  try {
+    const { item_id } = req.body;
+    logRequest(req, item_id ? 'CREATE_UPDATE_LINK_TOKEN' : 'CREATE_LINK_TOKEN');
+
+    const linkTokenConfig = {
+      user: {
+        client_user_id: req.user.id // Use authenticated user's ID
+      },
+      client_name: "TradeLog",
+      products: ['investments'],
+      country_codes: ['US'],
+      language: 'en'
+    };
+
+    // Add redirect URI if provided
+    const redirectUri = req.body.redirect_uri || 'tradelog://plaid-success';
+    if (redirectUri) {
+      linkTokenConfig.redirect_uri = redirectUri;
+    }
+
+    // Investment configuration
+    linkTokenConfig.investments = {
+      allow_unverified_crypto_wallets: false,
+      allow_manual_entry: false
+    };
+
+    // Webhook for holdings, transactions and item status updates
+    if (process.env.PLAID_WEBHOOK_URL) {
+      linkTokenConfig.webhook = process.env.PLAID_WEBHOOK_URL;
+    }
+
+    // Update mode: re-authenticate an existing item instead of linking a new one
+    if (item_id) {
+      const tokenInfo = await getActiveItem(req.user.id, item_id);
+
+      if (!tokenInfo) {
+        return res.status(404).json({
+          error: 'ITEM_NOT_FOUND',
+          message: 'No active connected item with that ID',
+          display_message: 'This account is no longer connected. Please connect it again.'
+        });
+      }
+
+      // Plaid rejects products on update-mode tokens
+      delete linkTokenConfig.products;
+      linkTokenConfig.access_token = decryptAccessToken(tokenInfo);
+    }
+
+    const response = await plaidClient.linkTokenCreate(linkTokenConfig);
+
+    console.log(`✅ ${item_id ? 'Update-mode link' : 'Link'} token created for user: ${req.user.name}`);
+
+    res.json({
+      link_token: response.data.link_token,
+      expiration: response.data.expiration,
+      request_id: response.data.request_id,
+      mode: item_id ? 'update' : 'create',
+      ...(item_id && { item_id })
+    });
+
+  } catch (error) {
+    console.error('❌ Link token creation failed:', error.response?.data || error.message);
+    sendPlaidError(res, error, {
+      error: 'LINK_TOKEN_CREATE_FAILED',
+      message: 'Failed to create link token',
+      display_message: 'Unable to connect to Plaid. Please try again.'
+    });
+  }
+});
+
+// Exchange Public Token for Access Token (Secure)
+app.post('/api/plaid/exchange-public-token', [
+  body('public_token').notEmpty().withMessage('Public token is required'),
+], validateErrors, authenticateToken, async (req, res) => {
+  try {
+    logRequest(req, 'EXCHANGE_PUBLIC_TOKEN');
+
+    const { public_token } = req.body;
+
+    const response = await plaidClient.itemPublicTokenExchange({
+      public_token,
+    });
+
+    const { access_token, item_id } = response.data;
+
+    // Institution details are nice-to-have; a lookup failure shouldn't lose the new item
+    let institution = {};
+    try {
+      institution = await fetchInstitutionMetadata(access_token);
+    } catch (institutionError) {
+      console.error('Failed to fetch institution metadata:', institutionError.response?.data || institutionError.message);
+    }
 
     // Store access token securely in Supabase linked to user
     const { error: dbError } = await supabase
       .from('user_plaid_tokens')
       .upsert({
         user_id: req.user.id,
-        access_token: access_token, // In production, encrypt this
+        ...encryptAccessToken(access_token),
+        ...institution,
         item_id: item_id,
         created_at: new Date().toISOString(),
         updated_at: new Date().toISOString()
@@ -353,35 +1278,4220 @@ app.post('/api/plaid/exchange-public-token', [
     }
 
     console.log(`✅ Token exchanged and stored for user: ${req.user.name}`);
+    await recordAudit(req, 'TOKEN_EXCHANGE', {
+      outcome: dbError ? 'failure' : 'success',
+      itemId: item_id,
+      metadata: { institution_id: institution.institution_id || null }
+    });
 
     res.json({
       success: true,
       item_id,
+      institution: institutionFromRow(institution),
       message: 'Account connected successfully'
     });
 
   } catch (error) {
-    console.error('❌ Token exchange failed:', error.message);
+    console.error('❌ Token exchange failed:', error.response?.data || error.message);
+    await recordAudit(req, 'TOKEN_EXCHANGE', {
+      outcome: 'failure',
+      metadata: { error_code: error.response?.data?.error_code || null }
+    });
+    sendPlaidError(res, error, {
+      error: 'TOKEN_EXCHANGE_FAILED',
+      message: 'Failed to exchange token',
+      display_message: 'Failed to complete account connection. Please try again.'
+    });
+  }
+});
+
+// List Connected Items (Secure)
+app.get('/api/plaid/items', authenticateToken, async (req, res) => {
+  try {
+    logRequest(req, 'LIST_ITEMS');
+
+    const { data: items, error } = await supabase
+      .from('user_plaid_tokens')
+      .select(`item_id, ${INSTITUTION_COLUMNS}, created_at, last_used_at, is_active, item_status, error_code, consent_expiration_time`)
+      .eq('user_id', req.user.id)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    res.json({
+      items,
+      total_items: items.length,
+      active_items: items.filter(item => item.is_active).length
+    });
+
+  } catch (error) {
+    console.error('❌ Item listing failed:', error.message);
+    res.status(500).json({
+      error: 'ITEMS_FETCH_FAILED',
+      message: 'Failed to fetch connected items',
+      display_message: 'Unable to load your connected accounts. Please try again.'
+    });
+  }
+});
+
+// Remove Connected Item (Secure)
+app.delete('/api/plaid/items/:item_id', [
+  param('item_id').notEmpty().withMessage('Item ID is required'),
+], validateErrors, authenticateToken, async (req, res) => {
+  try {
+    logRequest(req, 'REMOVE_ITEM');
+
+    const { item_id } = req.params;
+
+    const tokenInfo = await getActiveItem(req.user.id, item_id);
+
+    if (!tokenInfo) {
+      return res.status(404).json({
+        error: 'ITEM_NOT_FOUND',
+        message: 'No active connected item with that ID',
+        display_message: 'This account is no longer connected.'
+      });
+    }
+
+    try {
+      await plaidClient.itemRemove({
+        access_token: decryptAccessToken(tokenInfo)
+      });
+    } catch (plaidError) {
+      // An item Plaid no longer knows about can still be deactivated locally
+      const errorCode = plaidError.response?.data?.error_code;
+      if (errorCode !== 'ITEM_NOT_FOUND' && errorCode !== 'INVALID_ACCESS_TOKEN') {
+        throw plaidError;
+      }
+      console.warn(`⚠️ Item ${item_id} already gone at Plaid (${errorCode}), deactivating locally`);
+    }
+
+    const { error: updateError } = await supabase
+      .from('user_plaid_tokens')
+      .update({ is_active: false })
+      .eq('user_id', req.user.id)
+      .eq('item_id', item_id);
+
+    if (updateError) {
+      throw new Error(updateError.message);
+    }
+
+    console.log(`🗑️ Item ${item_id} removed for user: ${req.user.name}`);
+    await recordAudit(req, 'ITEM_REMOVE', { itemId: item_id });
+
+    res.json({
+      success: true,
+      item_id,
+      message: 'Account disconnected successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Item removal failed:', error.response?.data || error.message);
+    await recordAudit(req, 'ITEM_REMOVE', {
+      outcome: 'failure',
+      itemId: req.params.item_id,
+      metadata: { error_code: error.response?.data?.error_code || null }
+    });
+    sendPlaidError(res, error, {
+      error: 'ITEM_REMOVE_FAILED',
+      message: 'Failed to remove connected item',
+      display_message: 'Unable to disconnect this account. Please try again.'
+    });
+  }
+});
+
+// Confirm Update-Mode Relink (Secure)
+app.post('/api/plaid/items/:item_id/relink', [
+  param('item_id').notEmpty().withMessage('Item ID is required'),
+], validateErrors, authenticateToken, async (req, res) => {
+  try {
+    logRequest(req, 'CONFIRM_ITEM_RELINK');
+
+    const { item_id } = req.params;
+    const tokenInfo = await getActiveItem(req.user.id, item_id);
+
+    if (!tokenInfo) {
+      return res.status(404).json({
+        error: 'ITEM_NOT_FOUND',
+        message: 'No active connected item with that ID',
+        display_message: 'This account is no longer connected.'
+      });
+    }
+
+    // Ask Plaid whether the login is actually healthy before clearing our error state
+    const response = await plaidClient.itemGet({
+      access_token: decryptAccessToken(tokenInfo)
+    });
+    const itemError = response.data.item.error;
+
+    if (itemError) {
+      await updateItemByItemId(item_id, {
+        item_status: itemError.error_code === 'ITEM_LOGIN_REQUIRED' ? 'login_required' : 'error',
+        error_code: itemError.error_code
+      });
+
+      return res.status(409).json({
+        error: 'ITEM_STILL_IN_ERROR',
+        message: `Item still reports ${itemError.error_code}`,
+        display_message: itemError.display_message || 'This account still needs attention. Please try reconnecting again.'
+      });
+    }
+
+    await updateItemByItemId(item_id, {
+      item_status: 'healthy',
+      error_code: null,
+      consent_expiration_time: response.data.item.consent_expiration_time || null
+    });
+
+    console.log(`🔧 Item ${item_id} relinked for user: ${req.user.name}`);
+    await recordAudit(req, 'ITEM_RELINK', { itemId: item_id });
+
+    res.json({
+      success: true,
+      item_id,
+      item_status: 'healthy',
+      message: 'Account reconnected successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Item relink confirmation failed:', error.response?.data || error.message);
+    sendPlaidError(res, error, {
+      error: 'ITEM_RELINK_FAILED',
+      message: 'Failed to confirm item relink',
+      display_message: 'Unable to confirm your reconnection. Please try again.'
+    });
+  }
+});
+
+// Get Investment Holdings (Secure)
+app.get('/api/plaid/investments/holdings', authenticateToken, async (req, res) => {
+  try {
+    logRequest(req, 'GET_INVESTMENTS_HOLDINGS');
+
+    // Get user's access tokens from database
+    const { data: tokens, error } = await supabase
+      .from('user_plaid_tokens')
+      .select(`access_token, access_token_data_key, access_token_key_id, item_id, ${INSTITUTION_COLUMNS}`)
+      .eq('user_id', req.user.id)
+      .eq('is_active', true);
+
+    const manual = await loadManualHoldings(req.user.id);
+
+    if (error || !tokens || (tokens.length === 0 && manual.accounts.length === 0)) {
+      return res.status(404).json({
+        error: 'NO_CONNECTED_ACCOUNTS',
+        message: 'No connected accounts found',
+        display_message: 'Please connect an account first.'
+      });
+    }
+
+    console.log(`📊 Fetching holdings for ${tokens.length} account(s) for user: ${req.user.name}`);
+
+    // Fetch holdings for each access token
+    const failedItems = [];
+    const holdingPromises = tokens.map(async (tokenInfo, index) => {
+      try {
+        const response = await plaidClient.investmentsHoldingsGet({
+          access_token: decryptAccessToken(tokenInfo)
+        });
+        console.log(`✅ Holdings fetched for account ${index + 1}: ${response.data.holdings.length} holdings`);
+
+        // Every live pull doubles as today's snapshot for that item
+        recordHoldingsSnapshot(req.user.id, tokenInfo.item_id, response.data).catch(snapshotError => {
+          console.error(`Failed to record holdings snapshot for item ${tokenInfo.item_id}:`, snapshotError.message);
+        });
+
+        return response;
+      } catch (error) {
+        console.error(`❌ Failed to fetch holdings for account ${index + 1}:`, error.response?.data || error.message);
+        failedItems.push(await recordItemFailure(tokenInfo, error));
+        // Don't throw, just return null so we can filter it out
+        return null;
+      }
+    });
+
+    const responses = await Promise.all(holdingPromises);
+    const validResponses = responses.filter(r => r !== null);
+
+    if (tokens.length > 0 && validResponses.length === 0 && manual.accounts.length === 0) {
+      return sendAllItemsFailed(res, failedItems, {
+        error: 'ALL_ACCOUNTS_FAILED',
+        message: 'Failed to fetch data from all connected accounts',
+        display_message: 'Unable to fetch your investment data. Please try again.'
+      });
+    }
+
+    await markItemsUsed(req.user.id, tokens.filter((t, i) => responses[i] !== null).map(t => t.item_id));
+
+    // Combine all data from multiple accounts, then any imported (manual) accounts
+    const accounts = [
+      ...tokens.flatMap((t, i) => responses[i] ? withInstitution(responses[i].data.accounts, t) : []),
+      ...manual.accounts
+    ];
+    const institutions = tokens.filter((t, i) => responses[i] !== null).map(t => ({ item_id: t.item_id, ...institutionFromRow(t) }));
+    const holdings = [...validResponses.flatMap(r => r.data.holdings), ...manual.holdings];
+    const securities = [...validResponses.flatMap(r => r.data.securities), ...manual.securities];
+
+    console.log(`🎯 Holdings aggregated for ${req.user.name}: ${holdings.length} holdings, ${securities.length} securities`);
+    await recordAudit(req, 'HOLDINGS_PULL', {
+      outcome: failedItems.length > 0 ? 'partial' : 'success',
+      metadata: { items: tokens.length, failed_items: failedItems.map(f => f.item_id) }
+    });
+
+    res.json({
+      accounts,
+      holdings,
+      securities,
+      institutions,
+      total_accounts: accounts.length,
+      total_holdings: holdings.length,
+      request_id: validResponses[0]?.data.request_id,
+      fetched_accounts: validResponses.length,
+      total_connected_accounts: tokens.length,
+      failed_items: failedItems
+    });
+
+  } catch (error) {
+    console.error('❌ Holdings fetch failed:', error.response?.data || error.message);
+    await recordAudit(req, 'HOLDINGS_PULL', { outcome: 'failure' });
+    sendPlaidError(res, error, {
+      error: 'HOLDINGS_FETCH_FAILED',
+      message: 'Failed to fetch investment holdings',
+      display_message: 'Unable to fetch your investment data. Please try again.'
+    });
+  }
+});
+
+// Plaid caps investmentsTransactionsGet at 500 rows per call
+const PLAID_TRANSACTIONS_PAGE_SIZE = 500;
+
+// Walk Plaid's offset pagination until every transaction in the range is loaded
+const fetchAllInvestmentTransactions = async (accessToken, start_date, end_date) => {
+  const transactions = [];
+  const securities = new Map();
+  let offset = 0;
+  let total = 0;
+  let firstPage = null;
+
+  do {
+    const response = await plaidClient.investmentsTransactionsGet({
+      access_token: accessToken,
+      start_date,
+      end_date,
+      options: {
+        count: PLAID_TRANSACTIONS_PAGE_SIZE,
+        offset
+      }
+    });
+
+    firstPage = firstPage || response.data;
+    total = response.data.total_investment_transactions;
+    transactions.push(...response.data.investment_transactions);
+    response.data.securities.forEach(sec => securities.set(sec.security_id, sec));
+
+    // Guard against a short page looping forever if the total shifts mid-walk
+    if (response.data.investment_transactions.length === 0) break;
+    offset += response.data.investment_transactions.length;
+  } while (offset < total);
+
+  return {
+    data: {
+      ...firstPage,
+      investment_transactions: transactions,
+      securities: Array.from(securities.values()),
+      total_investment_transactions: total
+    }
+  };
+};
+
+// Newest first, ties broken by ID so the order (and cursors) are stable
+const compareTransactions = (a, b) => {
+  if (a.date !== b.date) return a.date < b.date ? 1 : -1;
+  if (a.investment_transaction_id === b.investment_transaction_id) return 0;
+  return a.investment_transaction_id > b.investment_transaction_id ? 1 : -1;
+};
+
+const encodeTransactionCursor = (transaction) => {
+  return Buffer.from(JSON.stringify({
+    date: transaction.date,
+    investment_transaction_id: transaction.investment_transaction_id
+  })).toString('base64url');
+};
+
+const decodeTransactionCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    // Both values end up in a PostgREST filter, so only accept what Plaid and the importers issue
+    if (typeof decoded.date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(decoded.date) ||
+        typeof decoded.investment_transaction_id !== 'string' || !/^[\w-]+$/.test(decoded.investment_transaction_id)) {
+      return null;
+    }
+    return decoded;
+  } catch (error) {
+    return null;
+  }
+};
+
+// =======================
+// INVESTMENT TRANSACTION LEDGER
+// =======================
+
+// Plaid only serves 24 months of investment history
+const LEDGER_HISTORY_MONTHS = 24;
+
+// Re-pull this many days before the last sync; brokers post late and correct trades
+const LEDGER_OVERLAP_DAYS = 30;
+
+const LEDGER_BATCH_SIZE = 500;
+
+// PostgREST caps each response at 1000 rows, so page through with range()
+const fetchAllRows = async (buildQuery) => {
+  const rows = [];
+  const pageSize = 1000;
+
+  for (let from = 0; ; from += pageSize) {
+    const { data, error } = await buildQuery().range(from, from + pageSize - 1);
+    if (error) {
+      throw new Error(error.message);
+    }
+    rows.push(...data);
+    if (data.length < pageSize) break;
+  }
+
+  return rows;
+};
+
+const upsertInBatches = async (table, rows, onConflict) => {
+  for (let i = 0; i < rows.length; i += LEDGER_BATCH_SIZE) {
+    const { error } = await supabase
+      .from(table)
+      .upsert(rows.slice(i, i + LEDGER_BATCH_SIZE), { onConflict });
+
+    if (error) {
+      throw new Error(`Failed to upsert ${table}: ${error.message}`);
+    }
+  }
+};
+
+// account_id is the table's key across all users, so an upsert could otherwise hand
+// another user's row to this one. Accounts already owned by someone else are skipped.
+const storeAccounts = async (userId, itemId, accounts) => {
+  const { data: existing, error } = await supabase
+    .from('investment_accounts')
+    .select('account_id, user_id')
+    .in('account_id', accounts.map(account => account.account_id));
+
+  if (error) {
+    throw new Error(`Failed to load investment_accounts: ${error.message}`);
+  }
+
+  const foreign = new Set(existing.filter(row => row.user_id !== userId).map(row => row.account_id));
+  if (foreign.size > 0) {
+    console.error(`⚠️ Skipping ${foreign.size} account(s) for item ${itemId} already stored for another user`);
+  }
+
+  await upsertInBatches('investment_accounts', accounts.filter(account => !foreign.has(account.account_id)).map(account => ({
+    account_id: account.account_id,
+    user_id: userId,
+    item_id: itemId,
+    name: account.name,
+    type: account.type,
+    subtype: account.subtype,
+    data: account,
+    updated_at: new Date().toISOString()
+  })), 'account_id');
+};
+
+const storeSecurities = async (securities) => {
+  await upsertInBatches('investment_securities', securities.map(security => ({
+    security_id: security.security_id,
+    ticker_symbol: security.ticker_symbol,
+    name: security.name,
+    type: security.type,
+    data: security,
+    updated_at: new Date().toISOString()
+  })), 'security_id');
+};
+
+// Pull new and corrected transactions for one item into investment_transactions.
+// The first sync backfills Plaid's full window; later syncs re-read only the
+// overlap window before the last synced date.
+const syncInvestmentTransactions = async (userId, tokenInfo) => {
+  const endDate = toDateString(new Date());
+  const historyStart = new Date();
+  historyStart.setUTCMonth(historyStart.getUTCMonth() - LEDGER_HISTORY_MONTHS);
+
+  const startDate = tokenInfo.transactions_synced_through ?
+    addDays(tokenInfo.transactions_synced_through, -LEDGER_OVERLAP_DAYS) :
+    toDateString(historyStart);
+
+  const response = await fetchAllInvestmentTransactions(decryptAccessToken(tokenInfo), startDate, endDate);
+  const { accounts, securities, investment_transactions } = response.data;
+  const now = new Date().toISOString();
+
+  await storeAccounts(userId, tokenInfo.item_id, accounts);
+  await storeSecurities(securities);
+
+  await upsertInBatches('investment_transactions', investment_transactions.map(t => ({
+    investment_transaction_id: t.investment_transaction_id,
+    user_id: userId,
+    item_id: tokenInfo.item_id,
+    account_id: t.account_id,
+    security_id: t.security_id,
+    date: t.date,
+    name: t.name,
+    quantity: t.quantity,
+    amount: t.amount,
+    price: t.price,
+    fees: t.fees,
+    type: t.type,
+    subtype: t.subtype,
+    iso_currency_code: t.iso_currency_code,
+    unofficial_currency_code: t.unofficial_currency_code,
+    cancel_transaction_id: t.cancel_transaction_id || null,
+    source: 'plaid',
+    removed_at: null,
+    updated_at: now
+  })), 'investment_transaction_id');
+
+  // A cancel row points at the trade it reverses; flag the original
+  const canceledIds = investment_transactions.map(t => t.cancel_transaction_id).filter(Boolean);
+  for (let i = 0; i < canceledIds.length; i += LEDGER_BATCH_SIZE) {
+    const { error } = await supabase
+      .from('investment_transactions')
+      .update({ is_canceled: true, updated_at: now })
+      .in('investment_transaction_id', canceledIds.slice(i, i + LEDGER_BATCH_SIZE));
+
+    if (error) {
+      throw new Error(`Failed to mark canceled transactions: ${error.message}`);
+    }
+  }
+
+  // Anything we stored in the re-read window that Plaid no longer returns was corrected away
+  const returnedIds = new Set(investment_transactions.map(t => t.investment_transaction_id));
+  const storedInWindow = await fetchAllRows(() => supabase
+    .from('investment_transactions')
+    .select('investment_transaction_id')
+    .eq('item_id', tokenInfo.item_id)
+    .eq('source', 'plaid')
+    .is('removed_at', null)
+    .gte('date', startDate)
+    .lte('date', endDate)
+    .order('investment_transaction_id'));
+  const removedIds = storedInWindow.map(r => r.investment_transaction_id).filter(id => !returnedIds.has(id));
+
+  for (let i = 0; i < removedIds.length; i += LEDGER_BATCH_SIZE) {
+    const { error } = await supabase
+      .from('investment_transactions')
+      .update({ removed_at: now, updated_at: now })
+      .in('investment_transaction_id', removedIds.slice(i, i + LEDGER_BATCH_SIZE));
+
+    if (error) {
+      throw new Error(`Failed to mark removed transactions: ${error.message}`);
+    }
+  }
+
+  await updateItemByItemId(tokenInfo.item_id, {
+    transactions_synced_through: endDate,
+    transactions_synced_at: now
+  });
+
+  console.log(`🔄 Ledger synced for item ${tokenInfo.item_id}: ${investment_transactions.length} upserted, ${canceledIds.length} canceled, ${removedIds.length} removed (${startDate} to ${endDate})`);
+
+  return {
+    item_id: tokenInfo.item_id,
+    start_date: startDate,
+    end_date: endDate,
+    upserted: investment_transactions.length,
+    canceled: canceledIds.length,
+    removed: removedIds.length
+  };
+};
+
+const LEDGER_TOKEN_COLUMNS = `access_token, access_token_data_key, access_token_key_id, item_id, ${INSTITUTION_COLUMNS}, transactions_synced_through, transactions_synced_at`;
+
+// Sync several items, collecting per-item failures instead of throwing
+const syncItems = async (userId, tokens) => {
+  const failedItems = [];
+  const synced = [];
+
+  await Promise.all(tokens.map(async (tokenInfo) => {
+    try {
+      synced.push(await syncInvestmentTransactions(userId, tokenInfo));
+    } catch (error) {
+      console.error(`❌ Ledger sync failed for item ${tokenInfo.item_id}:`, error.response?.data || error.message);
+      failedItems.push(await recordItemFailure(tokenInfo, error));
+    }
+  }));
+
+  return { synced, failedItems };
+};
+
+// Webhook entry point: look the item up by item_id and sync it in the background
+const syncItemByItemId = async (itemId) => {
+  const { data: tokenInfo, error } = await supabase
+    .from('user_plaid_tokens')
+    .select(`user_id, ${LEDGER_TOKEN_COLUMNS}`)
+    .eq('item_id', itemId)
+    .eq('is_active', true)
+    .maybeSingle();
+
+  if (error || !tokenInfo) {
+    throw new Error(`No active item ${itemId} to sync`);
+  }
+
+  return syncInvestmentTransactions(tokenInfo.user_id, tokenInfo);
+};
+
+const TRANSACTION_COLUMNS = 'investment_transaction_id, item_id, account_id, security_id, date, name, quantity, amount, price, fees, type, subtype, iso_currency_code, unofficial_currency_code, cancel_transaction_id, is_canceled';
+
+// Stored transactions matching the ledger filters. Canceled trades and their cancel
+// rows net to zero and are left out unless asked for.
+const ledgerQuery = (userId, { itemIds, startDate, endDate, includeCanceled = false } = {}, columns = TRANSACTION_COLUMNS, options) => {
+  let query = supabase
+    .from('investment_transactions')
+    .select(columns, options)
+    .eq('user_id', userId)
+    .is('removed_at', null);
+
+  if (itemIds) query = query.in('item_id', itemIds);
+  if (startDate) query = query.gte('date', startDate);
+  if (endDate) query = query.lte('date', endDate);
+  if (!includeCanceled) query = query.eq('is_canceled', false).is('cancel_transaction_id', null);
+
+  return query;
+};
+
+// Read a user's stored transactions plus the securities they reference
+const loadLedger = async (userId, filters = {}) => {
+  const transactions = await fetchAllRows(() => ledgerQuery(userId, filters)
+    .order('date', { ascending: false })
+    .order('investment_transaction_id'));
+
+  // Newest first with ID tie-breaks, whatever the DB collation
+  transactions.sort(compareTransactions);
+
+  const securityIds = Array.from(new Set(transactions.map(t => t.security_id).filter(Boolean)));
+  const securities = await loadSecurities(securityIds);
+
+  return { transactions, securities };
+};
+
+const loadSecurities = async (securityIds) => {
+  const securities = [];
+
+  for (let i = 0; i < securityIds.length; i += LEDGER_BATCH_SIZE) {
+    const { data, error } = await supabase
+      .from('investment_securities')
+      .select('data')
+      .in('security_id', securityIds.slice(i, i + LEDGER_BATCH_SIZE));
+
+    if (error) {
+      throw new Error(`Failed to load securities: ${error.message}`);
+    }
+    securities.push(...data.map(row => row.data));
+  }
+
+  return securities;
+};
+
+// One newest-first page of the ledger after `after`. The cursor comparison and the
+// limit run in the database, so a page costs the same however long the history is.
+const loadLedgerPage = async (userId, filters, { after = null, limit = null } = {}) => {
+  const buildQuery = () => {
+    let query = ledgerQuery(userId, filters);
+    if (after) {
+      query = query.or(`date.lt.${after.date},and(date.eq.${after.date},investment_transaction_id.gt.${after.investment_transaction_id})`);
+    }
+    return query.order('date', { ascending: false }).order('investment_transaction_id');
+  };
+
+  // No limit returns everything past the cursor
+  if (!limit) {
+    return { transactions: await fetchAllRows(buildQuery), hasMore: false };
+  }
+
+  const { data, error } = await buildQuery().limit(limit + 1);
+  if (error) {
+    throw new Error(`Failed to load transactions: ${error.message}`);
+  }
+
+  return { transactions: data.slice(0, limit), hasMore: data.length > limit };
+};
+
+const countLedger = async (userId, filters) => {
+  const { count, error } = await ledgerQuery(userId, filters, 'investment_transaction_id', { count: 'exact', head: true });
+  if (error) {
+    throw new Error(`Failed to count transactions: ${error.message}`);
+  }
+
+  return count;
+};
+
+const loadAccounts = async (userId, itemIds) => {
+  let query = supabase
+    .from('investment_accounts')
+    .select('item_id, data')
+    .eq('user_id', userId);
+
+  if (itemIds) query = query.in('item_id', itemIds);
+
+  const { data, error } = await query;
+  if (error) {
+    throw new Error(`Failed to load accounts: ${error.message}`);
+  }
+
+  return data;
+};
+
+// Get Investment Transactions (Secure)
+app.post('/api/plaid/investments/transactions', [
+  body('start_date').matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('start_date must be in YYYY-MM-DD format'),
+  body('end_date').matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('end_date must be in YYYY-MM-DD format'),
+  body('limit').optional().isInt({ min: 1, max: 500 }).withMessage('limit must be between 1 and 500').toInt(),
+  body('cursor').optional().isString(),
+  body('refresh').optional().isBoolean().toBoolean(),
+  body('include_canceled').optional().isBoolean().toBoolean(),
+], validateErrors, authenticateToken, async (req, res) => {
+  try {
+    logRequest(req, 'GET_INVESTMENTS_TRANSACTIONS');
+
+    const { start_date, end_date, limit, cursor, refresh, include_canceled } = req.body;
+
+    let after = null;
+    if (cursor) {
+      after = decodeTransactionCursor(cursor);
+      if (!after) {
+        return res.status(400).json({
+          error: 'INVALID_CURSOR',
+          message: 'cursor is malformed or expired'
+        });
+      }
+    }
+
+    // Get user's access tokens from database
+    const { data: tokens, error } = await supabase
+      .from('user_plaid_tokens')
+      .select(LEDGER_TOKEN_COLUMNS)
+      .eq('user_id', req.user.id)
+      .eq('is_active', true);
+
+    const manualAccounts = await loadManualAccounts(req.user.id);
+
+    if (error || !tokens || (tokens.length === 0 && manualAccounts.length === 0)) {
+      return res.status(404).json({
+        error: 'NO_CONNECTED_ACCOUNTS',
+        message: 'No connected accounts found',
+        display_message: 'Please connect an account first.'
+      });
+    }
+
+    // Serve from the ledger; only go to Plaid for never-synced items or an explicit refresh
+    const toSync = refresh ? tokens : tokens.filter(t => !t.transactions_synced_at);
+    const { synced, failedItems } = await syncItems(req.user.id, toSync);
+
+    await markItemsUsed(req.user.id, synced.map(r => r.item_id));
+
+    const itemIds = [...tokens.map(t => t.item_id), ...manualAccounts.map(a => a.item_id)];
+    const failedIds = new Set(failedItems.map(f => f.item_id));
+    const availableTokens = tokens.filter(t => t.transactions_synced_at || !failedIds.has(t.item_id));
+
+    if (availableTokens.length === 0 && manualAccounts.length === 0) {
+      return sendAllItemsFailed(res, failedItems, {
+        error: 'ALL_ACCOUNTS_FAILED',
+        message: 'Failed to fetch transactions from all connected accounts',
+        display_message: 'Unable to fetch your transaction data. Please try again.'
+      });
+    }
+
+    console.log(`📈 Reading ledger from ${start_date} to ${end_date} for ${tokens.length} account(s) for user: ${req.user.name}`);
+
+    const filters = { itemIds, startDate: start_date, endDate: end_date, includeCanceled: include_canceled };
+    const { transactions: investment_transactions, hasMore } = await loadLedgerPage(req.user.id, filters, { after, limit });
+    const totalTransactions = await countLedger(req.user.id, filters);
+    const lastTransaction = investment_transactions[investment_transactions.length - 1];
+
+    // Only ship the securities the returned page references
+    const securities = await loadSecurities(Array.from(new Set(investment_transactions.map(t => t.security_id).filter(Boolean))));
+    const journal = await loadJournalEntries(req.user.id, investment_transactions.map(t => t.investment_transaction_id));
+
+    const tokensByItem = new Map(tokens.map(t => [t.item_id, t]));
+    const accounts = (await loadAccounts(req.user.id, tokens.map(t => t.item_id)))
+      .flatMap(row => withInstitution([row.data], tokensByItem.get(row.item_id)))
+      .concat(manualAccounts.map(manualAccountView));
+    const institutions = availableTokens.map(t => ({ item_id: t.item_id, ...institutionFromRow(t) }));
+
+    console.log(`🎯 Transactions read for ${req.user.name}: ${totalTransactions} transactions, returning ${investment_transactions.length}`);
+    await recordAudit(req, 'TRANSACTIONS_PULL', {
+      outcome: failedItems.length > 0 ? 'partial' : 'success',
+      metadata: {
+        start_date,
+        end_date,
+        synced_items: synced.map(r => r.item_id),
+        failed_items: failedItems.map(f => f.item_id)
+      }
+    });
+
+    res.json({
+      accounts,
+      investment_transactions: investment_transactions.map(t => ({
+        ...t,
+        journal: journal.get(t.investment_transaction_id) || null
+      })),
+      securities,
+      institutions,
+      total_investment_transactions: totalTransactions,
+      page: {
+        limit: limit || null,
+        returned: investment_transactions.length,
+        has_more: hasMore,
+        next_cursor: hasMore ? encodeTransactionCursor(lastTransaction) : null
+      },
+      date_range: { start_date, end_date },
+      synced_items: synced,
+      fetched_accounts: availableTokens.length,
+      total_connected_accounts: tokens.length,
+      failed_items: failedItems
+    });
+
+  } catch (error) {
+    console.error('❌ Transactions fetch failed:', error.response?.data || error.message);
+    await recordAudit(req, 'TRANSACTIONS_PULL', { outcome: 'failure' });
+    sendPlaidError(res, error, {
+      error: 'TRANSACTIONS_FETCH_FAILED',
+      message: 'Failed to fetch investment transactions',
+      display_message: 'Unable to fetch your transaction history. Please try again.'
+    });
+  }
+});
+
+// Sync Investment Transactions Ledger (Secure)
+app.post('/api/plaid/investments/transactions/sync', authenticateToken, async (req, res) => {
+  try {
+    logRequest(req, 'SYNC_INVESTMENTS_TRANSACTIONS');
+
+    const { data: tokens, error } = await supabase
+      .from('user_plaid_tokens')
+      .select(LEDGER_TOKEN_COLUMNS)
+      .eq('user_id', req.user.id)
+      .eq('is_active', true);
+
+    if (error || !tokens || tokens.length === 0) {
+      return res.status(404).json({
+        error: 'NO_CONNECTED_ACCOUNTS',
+        message: 'No connected accounts found',
+        display_message: 'Please connect an account first.'
+      });
+    }
+
+    const { synced, failedItems } = await syncItems(req.user.id, tokens);
+    await markItemsUsed(req.user.id, synced.map(r => r.item_id));
+    await recordAudit(req, 'TRANSACTIONS_SYNC', {
+      outcome: failedItems.length > 0 ? 'partial' : 'success',
+      metadata: { synced_items: synced.map(r => r.item_id), failed_items: failedItems.map(f => f.item_id) }
+    });
+
+    res.json({
+      synced_items: synced,
+      failed_items: failedItems,
+      total_connected_accounts: tokens.length
+    });
+
+  } catch (error) {
+    console.error('❌ Transactions sync failed:', error.message);
+    res.status(500).json({
+      error: 'TRANSACTIONS_SYNC_FAILED',
+      message: 'Failed to sync investment transactions',
+      display_message: 'Unable to refresh your transaction history. Please try again.'
+    });
+  }
+});
+
+// =======================
+// TRADE JOURNAL
+// =======================
+
+const JOURNAL_ATTACHMENT_BUCKET = process.env.JOURNAL_ATTACHMENT_BUCKET || 'journal-attachments';
+const JOURNAL_ATTACHMENT_MAX_BYTES = 5 * 1024 * 1024;
+const JOURNAL_ATTACHMENT_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/heic': 'heic',
+  'image/webp': 'webp'
+};
+// Signed attachment URLs are handed to the app for display, so keep them short-lived
+const JOURNAL_ATTACHMENT_URL_TTL_SECONDS = 60 * 60;
+
+const JOURNAL_FIELDS = ['notes', 'strategy', 'tags', 'emotion_rating', 'planned_stop', 'planned_target'];
+const JOURNAL_COLUMNS = `id, investment_transaction_id, ${JOURNAL_FIELDS.join(', ')}, created_at, updated_at`;
+const JOURNAL_ATTACHMENT_COLUMNS = 'id, journal_entry_id, storage_path, content_type, size_bytes, caption, created_at';
+
+const journalEntryValidators = [
+  body('notes').optional({ nullable: true }).isString().isLength({ max: 10000 }).withMessage('notes must be at most 10000 characters'),
+  body('strategy').optional({ nullable: true }).isString().trim().isLength({ max: 100 }).withMessage('strategy must be at most 100 characters'),
+  body('tags').optional({ nullable: true }).isArray({ max: 20 }).withMessage('tags must be an array of at most 20 tags'),
+  body('tags.*').isString().trim().isLength({ min: 1, max: 50 }).withMessage('Each tag must be 1-50 characters'),
+  body('emotion_rating').optional({ nullable: true }).isInt({ min: 1, max: 5 }).withMessage('emotion_rating must be between 1 and 5').toInt(),
+  body('planned_stop').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('planned_stop must be a positive price').toFloat(),
+  body('planned_target').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('planned_target must be a positive price').toFloat(),
+];
+
+const userOwnsTransaction = async (userId, investmentTransactionId) => {
+  const { data, error } = await supabase
+    .from('investment_transactions')
+    .select('investment_transaction_id')
+    .eq('user_id', userId)
+    .eq('investment_transaction_id', investmentTransactionId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to look up transaction: ${error.message}`);
+  }
+  return !!data;
+};
+
+// Attach short-lived signed URLs so the app can show images without storage credentials
+const withAttachmentUrls = async (attachments) => {
+  if (attachments.length === 0) return [];
+
+  const { data, error } = await supabase.storage
+    .from(JOURNAL_ATTACHMENT_BUCKET)
+    .createSignedUrls(attachments.map(a => a.storage_path), JOURNAL_ATTACHMENT_URL_TTL_SECONDS);
+
+  if (error) {
+    console.error('Failed to sign journal attachment URLs:', error.message);
+  }
+  const urls = new Map((data || []).map(row => [row.path, row.signedUrl]));
+
+  return attachments.map(({ storage_path, ...attachment }) => ({
+    ...attachment,
+    url: urls.get(storage_path) || null
+  }));
+};
+
+// Journal entries keyed by investment_transaction_id, with their attachments
+const loadJournalEntries = async (userId, investmentTransactionIds) => {
+  const entries = new Map();
+  if (investmentTransactionIds.length === 0) return entries;
+
+  for (let i = 0; i < investmentTransactionIds.length; i += LEDGER_BATCH_SIZE) {
+    const { data, error } = await supabase
+      .from('trade_journal_entries')
+      .select(JOURNAL_COLUMNS)
+      .eq('user_id', userId)
+      .in('investment_transaction_id', investmentTransactionIds.slice(i, i + LEDGER_BATCH_SIZE));
+
+    if (error) {
+      throw new Error(`Failed to load journal entries: ${error.message}`);
+    }
+    data.forEach(entry => entries.set(entry.investment_transaction_id, { ...entry, attachments: [] }));
+  }
+
+  const entriesById = new Map(Array.from(entries.values()).map(entry => [entry.id, entry]));
+  const entryIds = Array.from(entriesById.keys());
+
+  for (let i = 0; i < entryIds.length; i += LEDGER_BATCH_SIZE) {
+    const { data, error } = await supabase
+      .from('trade_journal_attachments')
+      .select(JOURNAL_ATTACHMENT_COLUMNS)
+      .in('journal_entry_id', entryIds.slice(i, i + LEDGER_BATCH_SIZE))
+      .order('created_at');
+
+    if (error) {
+      throw new Error(`Failed to load journal attachments: ${error.message}`);
+    }
+
+    const signed = await withAttachmentUrls(data);
+    signed.forEach(attachment => entriesById.get(attachment.journal_entry_id).attachments.push(attachment));
+  }
+
+  return entries;
+};
+
+const getJournalEntryRow = async (userId, investmentTransactionId) => {
+  const { data, error } = await supabase
+    .from('trade_journal_entries')
+    .select('id')
+    .eq('user_id', userId)
+    .eq('investment_transaction_id', investmentTransactionId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load journal entry: ${error.message}`);
+  }
+  return data;
+};
+
+const sendJournalNotFound = (res) => {
+  return res.status(404).json({
+    error: 'JOURNAL_ENTRY_NOT_FOUND',
+    message: 'No journal entry for this transaction',
+    display_message: 'This trade has no journal entry yet.'
+  });
+};
+
+// List Journal Entries (Secure)
+app.get('/api/journal', [
+  query('tag').optional().isString().trim(),
+  query('strategy').optional().isString().trim(),
+  query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('limit must be between 1 and 500').toInt(),
+], validateErrors, authenticateToken, async (req, res) => {
+  try {
+    logRequest(req, 'LIST_JOURNAL_ENTRIES');
+
+    let journalQuery = supabase
+      .from('trade_journal_entries')
+      .select(JOURNAL_COLUMNS)
+      .eq('user_id', req.user.id);
+
+    if (req.query.tag) journalQuery = journalQuery.contains('tags', [req.query.tag]);
+    if (req.query.strategy) journalQuery = journalQuery.eq('strategy', req.query.strategy);
+
+    const { data, error } = await journalQuery
+      .order('updated_at', { ascending: false })
+      .limit(Number(req.query.limit) || 100);
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    const entries = await loadJournalEntries(req.user.id, data.map(entry => entry.investment_transaction_id));
+
+    res.json({
+      entries: data.map(entry => entries.get(entry.investment_transaction_id)),
+      total: data.length
+    });
+
+  } catch (error) {
+    console.error('❌ Journal list failed:', error.message);
+    res.status(500).json({
+      error: 'JOURNAL_FETCH_FAILED',
+      message: 'Failed to load journal entries',
+      display_message: 'Unable to load your trade journal. Please try again.'
+    });
+  }
+});
+
+// Get Journal Entry for a Transaction (Secure)
+app.get('/api/journal/:investment_transaction_id', [
+  param('investment_transaction_id').notEmpty().withMessage('Transaction ID is required'),
+], validateErrors, authenticateToken, async (req, res) => {
+  try {
+    logRequest(req, 'GET_JOURNAL_ENTRY');
+
+    const entries = await loadJournalEntries(req.user.id, [req.params.investment_transaction_id]);
+    const entry = entries.get(req.params.investment_transaction_id);
+
+    if (!entry) {
+      return sendJournalNotFound(res);
+    }
+
+    res.json({ entry });
+
+  } catch (error) {
+    console.error('❌ Journal entry fetch failed:', error.message);
+    res.status(500).json({
+      error: 'JOURNAL_FETCH_FAILED',
+      message: 'Failed to load journal entry',
+      display_message: 'Unable to load this journal entry. Please try again.'
+    });
+  }
+});
+
+// Create or Update Journal Entry (Secure)
+// Only the fields present in the body are written; send null to clear one.
+app.put('/api/journal/:investment_transaction_id', [
+  param('investment_transaction_id').notEmpty().withMessage('Transaction ID is required'),
+  ...journalEntryValidators,
+], validateErrors, authenticateToken, async (req, res) => {
+  try {
+    logRequest(req, 'SAVE_JOURNAL_ENTRY');
+
+    const investmentTransactionId = req.params.investment_transaction_id;
+
+    if (!await userOwnsTransaction(req.user.id, investmentTransactionId)) {
+      return res.status(404).json({
+        error: 'TRANSACTION_NOT_FOUND',
+        message: 'Transaction not found',
+        display_message: 'We couldn\'t find that trade. Try refreshing your transactions.'
+      });
+    }
+
+    const fields = {};
+    JOURNAL_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) fields[field] = req.body[field];
+    });
+    // tags is a NOT NULL array, so clearing it means emptying it
+    if (fields.tags === null) {
+      fields.tags = [];
+    } else if (Array.isArray(fields.tags)) {
+      fields.tags = Array.from(new Set(fields.tags.map(tag => tag.toLowerCase())));
+    }
+
+    const { error } = await supabase
+      .from('trade_journal_entries')
+      .upsert({
+        user_id: req.user.id,
+        investment_transaction_id: investmentTransactionId,
+        ...fields
+      }, { onConflict: 'user_id,investment_transaction_id' });
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    const entries = await loadJournalEntries(req.user.id, [investmentTransactionId]);
+
+    res.json({ entry: entries.get(investmentTransactionId) });
+
+  } catch (error) {
+    console.error('❌ Journal entry save failed:', error.message);
+    res.status(500).json({
+      error: 'JOURNAL_SAVE_FAILED',
+      message: 'Failed to save journal entry',
+      display_message: 'Unable to save your notes. Please try again.'
+    });
+  }
+});
+
+// Delete Journal Entry and its Attachments (Secure)
+app.delete('/api/journal/:investment_transaction_id', [
+  param('investment_transaction_id').notEmpty().withMessage('Transaction ID is required'),
+], validateErrors, authenticateToken, async (req, res) => {
+  try {
+    logRequest(req, 'DELETE_JOURNAL_ENTRY');
+
+    const entry = await getJournalEntryRow(req.user.id, req.params.investment_transaction_id);
+    if (!entry) {
+      return sendJournalNotFound(res);
+    }
+
+    const { data: attachments, error: attachmentsError } = await supabase
+      .from('trade_journal_attachments')
+      .select('storage_path')
+      .eq('journal_entry_id', entry.id);
+
+    if (attachmentsError) {
+      throw new Error(attachmentsError.message);
+    }
+
+    if (attachments.length > 0) {
+      const { error: storageError } = await supabase.storage
+        .from(JOURNAL_ATTACHMENT_BUCKET)
+        .remove(attachments.map(a => a.storage_path));
+
+      if (storageError) {
+        throw new Error(`Failed to remove attachments: ${storageError.message}`);
+      }
+    }
+
+    // Attachment rows go with the entry via ON DELETE CASCADE
+    const { error } = await supabase
+      .from('trade_journal_entries')
+      .delete()
+      .eq('id', entry.id)
+      .eq('user_id', req.user.id);
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    res.json({ success: true, investment_transaction_id: req.params.investment_transaction_id });
+
+  } catch (error) {
+    console.error('❌ Journal entry delete failed:', error.message);
+    res.status(500).json({
+      error: 'JOURNAL_DELETE_FAILED',
+      message: 'Failed to delete journal entry',
+      display_message: 'Unable to delete this journal entry. Please try again.'
+    });
+  }
+});
+
+// Upload Journal Attachment (Secure)
+// Images arrive base64-encoded in JSON; the entry is created if it doesn't exist yet.
+app.post('/api/journal/:investment_transaction_id/attachments', [
+  param('investment_transaction_id').notEmpty().withMessage('Transaction ID is required'),
+  body('content_type').isIn(Object.keys(JOURNAL_ATTACHMENT_TYPES)).withMessage('content_type must be image/jpeg, image/png, image/heic or image/webp'),
+  body('data').isBase64().withMessage('data must be base64-encoded image bytes'),
+  body('caption').optional().isString().isLength({ max: 500 }).withMessage('caption must be at most 500 characters'),
+], validateErrors, authenticateToken, async (req, res) => {
+  try {
+    logRequest(req, 'UPLOAD_JOURNAL_ATTACHMENT');
+
+    const investmentTransactionId = req.params.investment_transaction_id;
+    const { content_type, data, caption } = req.body;
+
+    const bytes = Buffer.from(data, 'base64');
+    if (bytes.length === 0 || bytes.length > JOURNAL_ATTACHMENT_MAX_BYTES) {
+      return res.status(413).json({
+        error: 'ATTACHMENT_TOO_LARGE',
+        message: `Attachments must be between 1 byte and ${JOURNAL_ATTACHMENT_MAX_BYTES} bytes`,
+        display_message: 'That image is too large. Please choose one under 5 MB.'
+      });
+    }
+
+    if (!await userOwnsTransaction(req.user.id, investmentTransactionId)) {
+      return res.status(404).json({
+        error: 'TRANSACTION_NOT_FOUND',
+        message: 'Transaction not found',
+        display_message: 'We couldn\'t find that trade. Try refreshing your transactions.'
+      });
+    }
+
+    let entry = await getJournalEntryRow(req.user.id, investmentTransactionId);
+    if (!entry) {
+      const { data: created, error: createError } = await supabase
+        .from('trade_journal_entries')
+        .upsert({ user_id: req.user.id, investment_transaction_id: investmentTransactionId }, { onConflict: 'user_id,investment_transaction_id' })
+        .select('id')
+        .single();
+
+      if (createError) {
+        throw new Error(createError.message);
+      }
+      entry = created;
+    }
+
+    const storagePath = `${req.user.id}/${entry.id}/${crypto.randomUUID()}.${JOURNAL_ATTACHMENT_TYPES[content_type]}`;
+
+    const { error: uploadError } = await supabase.storage
+      .from(JOURNAL_ATTACHMENT_BUCKET)
+      .upload(storagePath, bytes, { contentType: content_type, upsert: false });
+
+    if (uploadError) {
+      throw new Error(`Failed to upload attachment: ${uploadError.message}`);
+    }
+
+    const { data: attachment, error } = await supabase
+      .from('trade_journal_attachments')
+      .insert({
+        user_id: req.user.id,
+        journal_entry_id: entry.id,
+        storage_path: storagePath,
+        content_type,
+        size_bytes: bytes.length,
+        caption: caption || null
+      })
+      .select(JOURNAL_ATTACHMENT_COLUMNS)
+      .single();
+
+    if (error) {
+      // Don't leave an orphaned object behind
+      await supabase.storage.from(JOURNAL_ATTACHMENT_BUCKET).remove([storagePath]);
+      throw new Error(error.message);
+    }
+
+    const [signed] = await withAttachmentUrls([attachment]);
+
+    res.status(201).json({ attachment: signed });
+
+  } catch (error) {
+    console.error('❌ Journal attachment upload failed:', error.message);
+    res.status(500).json({
+      error: 'ATTACHMENT_UPLOAD_FAILED',
+      message: 'Failed to upload attachment',
+      display_message: 'Unable to upload your image. Please try again.'
+    });
+  }
+});
+
+// Delete Journal Attachment (Secure)
+app.delete('/api/journal/:investment_transaction_id/attachments/:attachment_id', [
+  param('investment_transaction_id').notEmpty().withMessage('Transaction ID is required'),
+  param('attachment_id').isUUID().withMessage('Valid attachment ID is required'),
+], validateErrors, authenticateToken, async (req, res) => {
+  try {
+    logRequest(req, 'DELETE_JOURNAL_ATTACHMENT');
+
+    const entry = await getJournalEntryRow(req.user.id, req.params.investment_transaction_id);
+
+    const { data: attachment, error: lookupError } = entry ? await supabase
+      .from('trade_journal_attachments')
+      .select('id, storage_path')
+      .eq('id', req.params.attachment_id)
+      .eq('journal_entry_id', entry.id)
+      .maybeSingle() : { data: null, error: null };
+
+    if (lookupError) {
+      throw new Error(lookupError.message);
+    }
+
+    if (!attachment) {
+      return res.status(404).json({
+        error: 'ATTACHMENT_NOT_FOUND',
+        message: 'Attachment not found',
+        display_message: 'That image was already removed.'
+      });
+    }
+
+    const { error: storageError } = await supabase.storage
+      .from(JOURNAL_ATTACHMENT_BUCKET)
+      .remove([attachment.storage_path]);
+
+    if (storageError) {
+      throw new Error(`Failed to remove attachment: ${storageError.message}`);
+    }
+
+    const { error } = await supabase
+      .from('trade_journal_attachments')
+      .delete()
+      .eq('id', attachment.id);
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    res.json({ success: true, attachment_id: attachment.id });
+
+  } catch (error) {
+    console.error('❌ Journal attachment delete failed:', error.message);
+    res.status(500).json({
+      error: 'ATTACHMENT_DELETE_FAILED',
+      message: 'Failed to delete attachment',
+      display_message: 'Unable to remove this image. Please try again.'
+    });
+  }
+});
+
+// =======================
+// MANUAL ACCOUNTS & IMPORTS
+// =======================
+
+// Imported trades live in the same ledger tables as Plaid data. Each manual account
+// is its own pseudo-item (item_id === account_id) so item-scoped queries keep working.
+const MANUAL_ID_PREFIX = 'manual_';
+
+const loadManualAccounts = async (userId) => {
+  const { data, error } = await supabase
+    .from('investment_accounts')
+    .select('item_id, data')
+    .eq('user_id', userId)
+    .eq('source', 'manual');
+
+  if (error) {
+    throw new Error(`Failed to load manual accounts: ${error.message}`);
+  }
+
+  return data;
+};
+
+// Shape a stored manual account like a Plaid account tagged by withInstitution
+const manualAccountView = (row) => ({
+  ...row.data,
+  item_id: row.item_id,
+  institution_id: null,
+  institution_name: row.data.broker || null,
+  is_manual: true
+});
+
+// Find the manual account an import targets, or create one
+const resolveManualAccount = async (userId, { accountId, accountName, broker, currency, details = {} }) => {
+  if (accountId) {
+    const { data, error } = await supabase
+      .from('investment_accounts')
+      .select('item_id, data')
+      .eq('user_id', userId)
+      .eq('account_id', accountId)
+      .eq('source', 'manual')
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load manual account: ${error.message}`);
+    }
+    return data;
+  }
+
+  const newAccountId = `${MANUAL_ID_PREFIX}${crypto.randomUUID()}`;
+  const account = {
+    account_id: newAccountId,
+    name: accountName || `${broker} account`,
+    official_name: null,
+    mask: null,
+    type: 'investment',
+    subtype: 'brokerage',
+    balances: { available: null, current: null, limit: null, iso_currency_code: currency, unofficial_currency_code: null },
+    broker,
+    ...details
+  };
+
+  const { error } = await supabase
+    .from('investment_accounts')
+    .insert({
+      account_id: newAccountId,
+      user_id: userId,
+      item_id: newAccountId,
+      name: account.name,
+      type: account.type,
+      subtype: account.subtype,
+      source: 'manual',
+      data: account
+    });
+
+  if (error) {
+    throw new Error(`Failed to create manual account: ${error.message}`);
+  }
+
+  return { item_id: newAccountId, data: account };
+};
+
+// Broker option descriptions, tried in order: OCC symbols, then Schwab and Robinhood text
+const OPTION_SYMBOL_PATTERNS = [
+  {
+    pattern: /^([A-Z.]{1,6})\s*(\d{2})(\d{2})(\d{2})([CP])(\d{8})$/,
+    parse: m => ({ underlying: m[1], expiration: `20${m[2]}-${m[3]}-${m[4]}`, type: m[5], strike: Number(m[6]) / 1000 })
+  },
+  {
+    pattern: /^([A-Z.]{1,6}) (\d{2})\/(\d{2})\/(\d{4}) ([\d.]+) ([CP])\b/,
+    parse: m => ({ underlying: m[1], expiration: `${m[4]}-${m[2]}-${m[3]}`, type: m[6], strike: Number(m[5]) })
+  },
+  {
+    pattern: /^([A-Z.]{1,6}) (\d{1,2})\/(\d{1,2})\/(\d{4}) (Call|Put) \$([\d,.]+)/i,
+    parse: m => ({ underlying: m[1], expiration: `${m[4]}-${m[2].padStart(2, '0')}-${m[3].padStart(2, '0')}`, type: m[5][0].toUpperCase(), strike: Number(m[6].replace(/,/g, '')) })
+  }
+];
+
+const parseOptionContract = (...candidates) => {
+  for (const text of candidates.filter(Boolean).map(c => c.trim())) {
+    for (const { pattern, parse } of OPTION_SYMBOL_PATTERNS) {
+      const match = text.match(pattern);
+      if (match) return parse(match);
+    }
+  }
+  return null;
+};
+
+// Brokers' sweep funds, which hold uninvested cash
+const MONEY_MARKET_TICKERS = ['SPAXX', 'FDRXX', 'FZFXX', 'SWVXX', 'SNVXX', 'VMFXX'];
+
+// investment_securities is shared by every user, so securities built from an
+// uploaded file are scoped to the uploader. The ID is derived from the symbol so
+// the same instrument lines up across that user's imports.
+const manualSecurityId = (userId, key) => `${MANUAL_ID_PREFIX}${userId}_${key}`;
+
+// Build a Plaid-shaped security for an imported symbol
+const importedSecurity = (userId, symbol, description, currency) => {
+  const option = parseOptionContract(symbol, description);
+
+  if (option) {
+    const occ = `${option.underlying}${option.expiration.slice(2).replace(/-/g, '')}${option.type}${String(Math.round(option.strike * 1000)).padStart(8, '0')}`;
+    return {
+      security_id: manualSecurityId(userId, occ),
+      ticker_symbol: occ,
+      name: description || occ,
+      type: 'derivative',
+      is_cash_equivalent: false,
+      close_price: null,
+      iso_currency_code: currency,
+      option_contract: {
+        contract_type: option.type === 'C' ? 'call' : 'put',
+        expiration_date: option.expiration,
+        strike_price: option.strike,
+        underlying_security_ticker: option.underlying
+      }
+    };
+  }
+
+  const ticker = symbol.toUpperCase();
+  const isCash = MONEY_MARKET_TICKERS.includes(ticker);
+  return {
+    security_id: manualSecurityId(userId, ticker),
+    ticker_symbol: ticker,
+    name: description || ticker,
+    type: isCash ? 'cash' : 'equity',
+    is_cash_equivalent: isCash,
+    close_price: null,
+    iso_currency_code: currency,
+    option_contract: null
+  };
+};
+
+// Map a broker's action text (or Robinhood trans code) to Plaid's type/subtype.
+// `inflow` is the sign of the broker's own amount column, used for ambiguous transfers.
+const IMPORT_ACTION_RULES = [
+  { match: /^bto$|buy to open/, type: 'buy', subtype: 'buy' },
+  { match: /^btc$|buy to close|buy to cover/, type: 'buy', subtype: 'buy to cover' },
+  { match: /^sto$|sell to open|sell short|short sale/, type: 'sell', subtype: 'sell short' },
+  { match: /^stc$|sell to close/, type: 'sell', subtype: 'sell' },
+  { match: /reinvest/, type: 'buy', subtype: 'dividend reinvestment' },
+  { match: /^oexp$|expire|expiration/, type: 'transfer', subtype: 'expire' },
+  { match: /^oasgn$|assign/, type: 'transfer', subtype: 'assignment' },
+  { match: /^oexcs$|exercise/, type: 'transfer', subtype: 'exercise' },
+  { match: /^spl$|^sprd$|split/, type: 'transfer', subtype: 'split' },
+  { match: /\bbought\b|^buy\b|purchase/, type: 'buy', subtype: 'buy' },
+  { match: /\bsold\b|^sell\b/, type: 'sell', subtype: 'sell' },
+  { match: /non-?qualified div/, type: 'cash', subtype: 'non-qualified dividend' },
+  { match: /qualified div/, type: 'cash', subtype: 'qualified dividend' },
+  { match: /^cdiv$|^mdiv$|dividend/, type: 'cash', subtype: 'dividend' },
+  { match: /long.?term cap/, type: 'cash', subtype: 'long-term capital gain' },
+  { match: /short.?term cap/, type: 'cash', subtype: 'short-term capital gain' },
+  { match: /^int$|interest/, type: 'cash', subtype: 'interest' },
+  { match: /distribution/, type: 'cash', subtype: 'distribution' },
+  { match: /^dtax$|tax withh|withholding/, type: 'cash', subtype: 'tax withheld' },
+  { match: /fee|commission|^gold$/, type: 'fee', subtype: 'miscellaneous fee' },
+  { match: /deposit|contribution/, type: 'cash', subtype: 'deposit' },
+  { match: /withdraw|disbursement/, type: 'cash', subtype: 'withdrawal' },
+  { match: /^ach$|moneylink|electronic funds|\beft\b|wire|journal|transfer/, type: 'cash', subtype: null }
+];
+
+const classifyImportAction = (action, inflow) => {
+  const text = (action || '').trim().toLowerCase();
+  const rule = IMPORT_ACTION_RULES.find(r => r.match.test(text));
+  if (!rule) return null;
+
+  return {
+    type: rule.type,
+    subtype: rule.subtype || (inflow ? 'deposit' : 'withdrawal')
+  };
+};
+
+// Cash moves out of the account for these (positive Plaid amount)
+const IMPORT_OUTFLOW_SUBTYPES = ['buy', 'buy to cover', 'dividend reinvestment', 'withdrawal', 'tax withheld', 'miscellaneous fee'];
+
+// Turn one broker record into a Plaid-shaped investment transaction. Quantities and
+// amounts are signed the way Plaid signs them: sells have negative quantity and
+// cash coming into the account is a negative amount.
+// Pass `security` when the file describes it (OFX); otherwise it's built from `symbol`.
+const normalizeImportedTransaction = ({ userId, accountId, date, action, symbol, security: knownSecurity, description, quantity, price, fees, amount, currency }) => {
+  const classification = classifyImportAction(action, (amount || 0) > 0);
+  if (!classification) return { skip: `Unrecognized action "${action}"` };
+
+  const { type, subtype } = classification;
+  const security = knownSecurity || (symbol ? importedSecurity(userId, symbol, description, currency) : null);
+  if (['buy', 'sell'].includes(type) && !security) return { skip: 'Trade has no symbol' };
+
+  const shares = Math.abs(quantity || 0);
+  let signedQuantity = 0;
+  if (type === 'buy') signedQuantity = shares;
+  else if (type === 'sell') signedQuantity = -shares;
+  else if (subtype === 'assignment') signedQuantity = shares;
+  else if (subtype === 'expire' || subtype === 'exercise') signedQuantity = -shares;
+  else if (subtype === 'split') signedQuantity = quantity || 0;
+
+  const multiplier = security?.option_contract ? OPTION_CONTRACT_MULTIPLIER : 1;
+  const totalFees = Math.abs(fees || 0);
+  let cash = amount !== null && amount !== undefined ? Math.abs(amount) : null;
+  if (cash === null && price) {
+    const gross = shares * price * multiplier;
+    cash = type === 'sell' ? gross - totalFees : gross + totalFees;
+  }
+
+  if (['cash', 'fee'].includes(type) && !cash) return { skip: 'Cash activity has no amount' };
+
+  let signedAmount = 0;
+  if (cash !== null && type !== 'transfer') {
+    signedAmount = IMPORT_OUTFLOW_SUBTYPES.includes(subtype) || type === 'fee' ? cash : -cash;
+  }
+
+  return {
+    security,
+    transaction: {
+      account_id: accountId,
+      security_id: security?.security_id || null,
+      date,
+      name: description || action,
+      quantity: signedQuantity,
+      amount: signedAmount,
+      price: price || 0,
+      fees: totalFees,
+      type,
+      subtype,
+      iso_currency_code: currency,
+      unofficial_currency_code: null,
+      cancel_transaction_id: null
+    }
+  };
+};
+
+// Stable IDs make re-imports idempotent. Rows are fingerprinted by content unless the
+// file supplies its own ID (OFX FITID) in `keys`; identical rows within one file
+// (two equal fills) are told apart by their occurrence count.
+const assignImportIds = (transactions, keys = []) => {
+  const seen = new Map();
+
+  return transactions.map((t, index) => {
+    const fingerprint = keys[index] ?
+      `${t.account_id}|${keys[index]}` :
+      [t.account_id, t.date, t.type, t.subtype, t.security_id, t.quantity, t.amount, t.price].join('|');
+    const occurrence = (seen.get(fingerprint) || 0) + 1;
+    seen.set(fingerprint, occurrence);
+
+    const digest = crypto.createHash('sha256').update(`${fingerprint}|${occurrence}`).digest('hex').slice(0, 40);
+    return { ...t, investment_transaction_id: `${MANUAL_ID_PREFIX}${digest}` };
+  });
+};
+
+// Write imported rows, skipping any already in the ledger
+const storeImportedTransactions = async (userId, account, transactions, securities, source) => {
+  const ids = transactions.map(t => t.investment_transaction_id);
+  const existing = new Set();
+
+  for (let i = 0; i < ids.length; i += LEDGER_BATCH_SIZE) {
+    const { data, error } = await supabase
+      .from('investment_transactions')
+      .select('investment_transaction_id')
+      .eq('user_id', userId)
+      .in('investment_transaction_id', ids.slice(i, i + LEDGER_BATCH_SIZE));
+
+    if (error) {
+      throw new Error(`Failed to check for duplicates: ${error.message}`);
+    }
+    data.forEach(row => existing.add(row.investment_transaction_id));
+  }
+
+  const fresh = transactions.filter(t => !existing.has(t.investment_transaction_id));
+
+  await storeSecurities(Array.from(new Map(securities.map(sec => [sec.security_id, sec])).values()));
+  await upsertInBatches('investment_transactions', fresh.map(t => ({
+    ...t,
+    user_id: userId,
+    item_id: account.item_id,
+    source,
+    is_canceled: false,
+    removed_at: null
+  })), 'investment_transaction_id');
+
+  return { imported: fresh.length, duplicates: transactions.length - fresh.length };
+};
+
+// Positions in manual accounts come from replaying their ledger. Prices are the
+// security's last close when known, else the most recent trade price.
+const loadManualHoldings = async (userId) => {
+  const manualAccounts = await loadManualAccounts(userId);
+  if (manualAccounts.length === 0) return { accounts: [], holdings: [], securities: [] };
+
+  const { transactions, securities } = await loadLedger(userId, { itemIds: manualAccounts.map(a => a.item_id) });
+  const securitiesById = new Map(securities.map(sec => [sec.security_id, sec]));
+  const { openLots } = computeLots(transactions, securitiesById, { method: 'FIFO' });
+
+  // Ledger is newest first, so the first priced row per security is the latest
+  const lastTrade = new Map();
+  transactions.forEach(t => {
+    if (t.security_id && Number(t.price) > 0 && !lastTrade.has(t.security_id)) {
+      lastTrade.set(t.security_id, { price: Number(t.price), date: t.date });
+    }
+  });
+
+  const positions = new Map();
+  openLots.forEach(lot => {
+    const key = `${lot.account_id}:${lot.security_id}`;
+    if (!positions.has(key)) {
+      positions.set(key, { account_id: lot.account_id, security_id: lot.security_id, quantity: 0, cost_basis: 0 });
+    }
+    const position = positions.get(key);
+    position.quantity += lot.quantity;
+    position.cost_basis += lot.cost_basis;
+  });
+
+  const itemByAccount = new Map(manualAccounts.map(a => [a.data.account_id, a.item_id]));
+  const holdings = Array.from(positions.values()).map(position => {
+    const security = securitiesById.get(position.security_id);
+    const trade = lastTrade.get(position.security_id);
+    const price = security?.close_price ?? trade?.price ?? null;
+    const multiplier = security?.option_contract ? OPTION_CONTRACT_MULTIPLIER : 1;
+
+    return {
+      account_id: position.account_id,
+      security_id: position.security_id,
+      quantity: position.quantity,
+      institution_price: price,
+      institution_price_as_of: security?.close_price_as_of || trade?.date || null,
+      institution_value: price === null ? null : round2(price * position.quantity * multiplier),
+      cost_basis: round2(position.cost_basis),
+      iso_currency_code: security?.iso_currency_code || 'USD',
+      unofficial_currency_code: null,
+      item_id: itemByAccount.get(position.account_id)
+    };
+  });
+
+  const accounts = manualAccounts.map(row => {
+    const value = holdings
+      .filter(h => h.account_id === row.data.account_id)
+      .reduce((sum, h) => sum + (h.institution_value || 0), 0);
+    const view = manualAccountView(row);
+    return { ...view, balances: { ...view.balances, current: round2(value) } };
+  });
+
+  const heldIds = new Set(holdings.map(h => h.security_id));
+
+  return {
+    accounts,
+    holdings,
+    securities: securities.filter(sec => heldIds.has(sec.security_id))
+  };
+};
+
+// Minimal RFC 4180 reader: quoted fields, doubled quotes, CRLF or LF line endings
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(cell => cell.trim() !== ''));
+};
+
+// "$1,234.56", "-1234.56" and "(1,234.56)" all parse; blanks are null
+const parseImportNumber = (value) => {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  if (text === '' || text === '--') return null;
+
+  const negative = /^\(.*\)$/.test(text) || text.startsWith('-');
+  const number = parseFloat(text.replace(/[()$,\s+-]/g, ''));
+  if (Number.isNaN(number)) return null;
+  return negative ? -number : number;
+};
+
+// Accepts YYYY-MM-DD, MM/DD/YYYY and MM/DD/YY (plus Schwab's "... as of ..." suffix)
+const parseImportDate = (value) => {
+  const text = (value || '').trim();
+  let match = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (match) return `${match[1]}-${match[2]}-${match[3]}`;
+
+  match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})\b/);
+  if (!match) return null;
+
+  const year = match[3].length === 2 ? `20${match[3]}` : match[3];
+  const date = `${year}-${match[1].padStart(2, '0')}-${match[2].padStart(2, '0')}`;
+  return Number.isNaN(Date.parse(`${date}T00:00:00Z`)) ? null : date;
+};
+
+// Column mappings per broker export. To support another broker, add an entry:
+// `required` headers identify the file, `columns` list header names per field
+// (several names are summed for fees).
+const CSV_IMPORT_MAPPINGS = {
+  fidelity: {
+    label: 'Fidelity',
+    required: ['Run Date', 'Action', 'Amount ($)'],
+    columns: {
+      date: ['Run Date'],
+      action: ['Action'],
+      symbol: ['Symbol'],
+      description: ['Description'],
+      quantity: ['Quantity'],
+      price: ['Price ($)'],
+      fees: ['Commission ($)', 'Fees ($)'],
+      amount: ['Amount ($)']
+    }
+  },
+  schwab: {
+    label: 'Charles Schwab',
+    required: ['Date', 'Action', 'Symbol', 'Fees & Comm'],
+    columns: {
+      date: ['Date'],
+      action: ['Action'],
+      symbol: ['Symbol'],
+      description: ['Description'],
+      quantity: ['Quantity'],
+      price: ['Price'],
+      fees: ['Fees & Comm'],
+      amount: ['Amount']
+    }
+  },
+  robinhood: {
+    label: 'Robinhood',
+    required: ['Activity Date', 'Trans Code', 'Instrument'],
+    columns: {
+      date: ['Activity Date'],
+      action: ['Trans Code'],
+      symbol: ['Instrument'],
+      description: ['Description'],
+      quantity: ['Quantity'],
+      price: ['Price'],
+      amount: ['Amount']
+    }
+  },
+  // Anything else with recognizable headers
+  generic: {
+    label: 'Imported',
+    required: [],
+    columns: {
+      date: ['Date', 'Trade Date', 'Transaction Date', 'Activity Date'],
+      action: ['Action', 'Type', 'Transaction Type', 'Side', 'Activity'],
+      symbol: ['Symbol', 'Ticker', 'Instrument'],
+      description: ['Description', 'Name', 'Security'],
+      quantity: ['Quantity', 'Qty', 'Shares'],
+      price: ['Price', 'Unit Price', 'Price per Share'],
+      fees: ['Fees', 'Commission', 'Fee'],
+      amount: ['Amount', 'Net Amount', 'Total'],
+      currency: ['Currency']
+    }
+  }
+};
+
+const IMPORT_HEADER_SCAN_ROWS = 20;
+const IMPORT_MAX_REPORTED_SKIPS = 100;
+
+// Resolve each field to column indexes in this header row
+const indexColumns = (headers, mapping) => {
+  const normalized = headers.map(h => h.trim().toLowerCase());
+  const indexes = {};
+  Object.entries(mapping.columns).forEach(([field, names]) => {
+    const found = names.map(name => normalized.indexOf(name.toLowerCase())).filter(i => i >= 0);
+    indexes[field] = field === 'fees' ? found : found.slice(0, 1);
+  });
+  return indexes;
+};
+
+const mappingMatches = (headers, mapping) => {
+  const normalized = new Set(headers.map(h => h.trim().toLowerCase()));
+  if (mapping.required.length > 0) {
+    return mapping.required.every(name => normalized.has(name.toLowerCase()));
+  }
+  const indexes = indexColumns(headers, mapping);
+  return indexes.date.length > 0 && indexes.action.length > 0 && indexes.symbol.length > 0;
+};
+
+// Brokers often put a preamble above the header, so look a few rows down
+const detectCsvLayout = (rows, broker) => {
+  const candidates = broker && broker !== 'auto' ? [broker] : Object.keys(CSV_IMPORT_MAPPINGS);
+
+  for (let i = 0; i < Math.min(rows.length, IMPORT_HEADER_SCAN_ROWS); i++) {
+    const key = candidates.find(name => mappingMatches(rows[i], CSV_IMPORT_MAPPINGS[name]));
+    if (key) return { key, mapping: CSV_IMPORT_MAPPINGS[key], headerIndex: i };
+  }
+
+  return null;
+};
+
+// Import Broker CSV into a Manual Account (Secure)
+app.post('/api/imports/csv', [
+  body('csv').isString().notEmpty().withMessage('csv must contain the exported file contents'),
+  body('broker').optional().isIn(['auto', ...Object.keys(CSV_IMPORT_MAPPINGS)]).withMessage(`broker must be one of auto, ${Object.keys(CSV_IMPORT_MAPPINGS).join(', ')}`),
+  body('account_id').optional().isString().notEmpty(),
+  body('account_name').optional().isString().trim().isLength({ min: 1, max: 100 }).withMessage('account_name must be 1-100 characters'),
+  body('iso_currency_code').optional().isISO4217().withMessage('iso_currency_code must be an ISO 4217 code'),
+], validateErrors, authenticateToken, async (req, res) => {
+  try {
+    logRequest(req, 'IMPORT_CSV');
+
+    const rows = parseCsv(req.body.csv);
+    const layout = detectCsvLayout(rows, req.body.broker);
+
+    if (!layout) {
+      return res.status(400).json({
+        error: 'UNRECOGNIZED_CSV_FORMAT',
+        message: 'Could not find a header row with date, action and symbol columns',
+        display_message: 'We couldn\'t read this file. Please export your trade history as CSV and try again.',
+        supported_brokers: Object.keys(CSV_IMPORT_MAPPINGS)
+      });
+    }
+
+    const account = await resolveManualAccount(req.user.id, {
+      accountId: req.body.account_id,
+      accountName: req.body.account_name,
+      broker: layout.mapping.label,
+      currency: req.body.iso_currency_code || 'USD'
+    });
+
+    if (!account) {
+      return res.status(404).json({
+        error: 'ACCOUNT_NOT_FOUND',
+        message: 'Manual account not found',
+        display_message: 'That account no longer exists. Please choose another.'
+      });
+    }
+
+    const indexes = indexColumns(rows[layout.headerIndex], layout.mapping);
+    const cell = (row, field) => (indexes[field]?.length ? row[indexes[field][0]]?.trim() : undefined);
+    const currency = req.body.iso_currency_code || account.data.balances?.iso_currency_code || 'USD';
+
+    const normalized = [];
+    const securities = [];
+    const skipped = [];
+
+    rows.slice(layout.headerIndex + 1).forEach((row, index) => {
+      const rowNumber = layout.headerIndex + index + 2;
+      const date = parseImportDate(cell(row, 'date'));
+
+      // Footers and disclaimers don't start with a date
+      if (!date) {
+        skipped.push({ row: rowNumber, reason: 'No valid date' });
+        return;
+      }
+
+      const fees = (indexes.fees || []).reduce((sum, i) => sum + (parseImportNumber(row[i]) || 0), 0);
+      const result = normalizeImportedTransaction({
+        userId: req.user.id,
+        accountId: account.data.account_id,
+        date,
+        action: cell(row, 'action'),
+        symbol: cell(row, 'symbol') || null,
+        description: cell(row, 'description') || null,
+        quantity: parseImportNumber(cell(row, 'quantity')),
+        price: parseImportNumber(cell(row, 'price')),
+        fees,
+        amount: parseImportNumber(cell(row, 'amount')),
+        currency: (cell(row, 'currency') || currency).toUpperCase()
+      });
+
+      if (result.skip) {
+        skipped.push({ row: rowNumber, reason: result.skip });
+        return;
+      }
+
+      normalized.push(result.transaction);
+      if (result.security) securities.push(result.security);
+    });
+
+    const transactions = assignImportIds(normalized);
+    const { imported, duplicates } = await storeImportedTransactions(req.user.id, account, transactions, securities, 'csv');
+    const dates = transactions.map(t => t.date).sort();
+
+    console.log(`📥 CSV import for ${req.user.name}: ${imported} new, ${duplicates} duplicate, ${skipped.length} skipped (${layout.key})`);
+    await recordAudit(req, 'CSV_IMPORT', {
+      itemId: account.item_id,
+      metadata: { broker: layout.key, imported, duplicates, skipped: skipped.length }
+    });
+
+    res.json({
+      account: manualAccountView(account),
+      broker: layout.key,
+      total_rows: rows.length - layout.headerIndex - 1,
+      imported,
+      duplicates,
+      skipped: skipped.slice(0, IMPORT_MAX_REPORTED_SKIPS),
+      skipped_count: skipped.length,
+      date_range: {
+        start_date: dates[0] || null,
+        end_date: dates[dates.length - 1] || null
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ CSV import failed:', error.message);
+    await recordAudit(req, 'CSV_IMPORT', { outcome: 'failure' });
+    res.status(500).json({
+      error: 'IMPORT_FAILED',
+      message: 'Failed to import CSV',
+      display_message: 'Unable to import your file. Please try again.'
+    });
+  }
+});
+
+// Tolerant OFX reader for both 1.x SGML (leaf tags left unclosed) and 2.x XML.
+// Returns a tree of { name, children } aggregates and { name, value } leaves.
+const parseOfx = (text) => {
+  const start = text.search(/<OFX>/i);
+  if (start < 0) return null;
+
+  const markup = text.slice(start);
+  // SGML leaves are never closed, so an empty element that is never closed is a
+  // leaf with no value (e.g. a bare <MEMO>), not an aggregate
+  const closed = new Set(Array.from(markup.matchAll(/<\/([A-Za-z0-9.]+)>/g), m => m[1].toUpperCase()));
+  const root = { name: 'ROOT', children: [] };
+  const stack = [root];
+  const tagPattern = /<(\/?)([A-Za-z0-9.]+)>([^<]*)/g;
+  const decode = (value) => value
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, '\'').replace(/&amp;/g, '&');
+  let match;
+
+  while ((match = tagPattern.exec(markup)) !== null) {
+    const name = match[2].toUpperCase();
+    const value = match[3].trim();
+    const top = stack[stack.length - 1];
+
+    if (match[1] === '/') {
+      // XML closes leaves too; only aggregates are on the stack
+      const index = stack.map(node => node.name).lastIndexOf(name);
+      if (index > 0) stack.length = index;
+    } else if (value !== '' || !closed.has(name)) {
+      top.children.push({ name, value: value === '' ? null : decode(value) });
+    } else {
+      const node = { name, children: [] };
+      top.children.push(node);
+      stack.push(node);
+    }
+  }
+
+  return root.children.find(node => node.name === 'OFX') || null;
+};
+
+const ofxChild = (node, name) => node?.children?.find(child => child.name === name) || null;
+const ofxPath = (node, ...names) => names.reduce((current, name) => ofxChild(current, name), node);
+const ofxText = (node, ...names) => ofxPath(node, ...names)?.value ?? null;
+const ofxNumber = (node, ...names) => parseImportNumber(ofxText(node, ...names));
+
+const ofxFindAll = (node, name) => {
+  if (!node?.children) return [];
+  return node.children.flatMap(child => (child.name === name ? [child] : ofxFindAll(child, name)));
+};
+
+// OFX datetimes are YYYYMMDD[HHMMSS[.XXX]][[TZ]]; only the date matters here
+const parseOfxDate = (value) => {
+  const match = (value || '').match(/^(\d{4})(\d{2})(\d{2})/);
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+};
+
+// Securities from SECLIST, keyed by SECID/UNIQUEID. Options get an OCC symbol
+// built from OPTINFO so they match options imported from CSV.
+const ofxSecurities = (userId, ofx, currency) => {
+  const infos = ofxPath(ofx, 'SECLISTMSGSRSV1', 'SECLIST')?.children || [];
+  const tickers = new Map(infos.map(info => [ofxText(info, 'SECINFO', 'SECID', 'UNIQUEID'), ofxText(info, 'SECINFO', 'TICKER')]));
+  const securities = new Map();
+
+  infos.forEach(info => {
+    const uniqueId = ofxText(info, 'SECINFO', 'SECID', 'UNIQUEID');
+    const idType = ofxText(info, 'SECINFO', 'SECID', 'UNIQUEIDTYPE');
+    const name = ofxText(info, 'SECINFO', 'SECNAME');
+    let ticker = ofxText(info, 'SECINFO', 'TICKER');
+
+    if (info.name === 'OPTINFO' && !parseOptionContract(ticker)) {
+      const underlying = tickers.get(ofxText(info, 'SECID', 'UNIQUEID'));
+      const expiration = parseOfxDate(ofxText(info, 'DTEXPIRE'));
+      const strike = ofxNumber(info, 'STRIKEPRICE');
+      if (underlying && expiration && strike !== null) {
+        const type = ofxText(info, 'OPTTYPE') === 'PUT' ? 'P' : 'C';
+        ticker = `${underlying}${expiration.slice(2).replace(/-/g, '')}${type}${String(Math.round(strike * 1000)).padStart(8, '0')}`;
+      }
+    }
+
+    const security = ticker ?
+      importedSecurity(userId, ticker, name, currency) :
+      {
+        security_id: manualSecurityId(userId, uniqueId),
+        ticker_symbol: null,
+        name: name || uniqueId,
+        type: info.name === 'MFINFO' ? 'mutual fund' : info.name === 'DEBTINFO' ? 'fixed income' : 'equity',
+        is_cash_equivalent: false,
+        close_price: null,
+        iso_currency_code: currency,
+        option_contract: null
+      };
+
+    securities.set(uniqueId, idType === 'CUSIP' ? { ...security, cusip: uniqueId } : security);
+  });
+
+  return securities;
+};
+
+const OFX_INCOME_ACTIONS = {
+  DIV: 'dividend',
+  INTEREST: 'interest',
+  CGLONG: 'long term capital gain',
+  CGSHORT: 'short term capital gain',
+  MISC: 'distribution'
+};
+
+const OFX_BANK_ACTIONS = {
+  INT: 'interest',
+  DIV: 'dividend',
+  FEE: 'fee',
+  SRVCHG: 'fee'
+};
+
+// Translate one INVTRANLIST record into the fields normalizeImportedTransaction takes
+const ofxRecord = (record) => {
+  if (record.name === 'INVBANKTRAN') {
+    const stmt = ofxChild(record, 'STMTTRN');
+    const amount = ofxNumber(stmt, 'TRNAMT');
+    return {
+      fitid: ofxText(stmt, 'FITID'),
+      date: parseOfxDate(ofxText(stmt, 'DTPOSTED')),
+      action: OFX_BANK_ACTIONS[ofxText(stmt, 'TRNTYPE')] || ((amount || 0) >= 0 ? 'deposit' : 'withdrawal'),
+      description: ofxText(stmt, 'NAME') || ofxText(stmt, 'MEMO'),
+      amount
+    };
+  }
+
+  // Buys and sells wrap the common fields in INVBUY/INVSELL
+  const detail = ofxChild(record, 'INVBUY') || ofxChild(record, 'INVSELL') || record;
+  const fields = {
+    fitid: ofxText(detail, 'INVTRAN', 'FITID'),
+    date: parseOfxDate(ofxText(detail, 'INVTRAN', 'DTTRADE')),
+    description: ofxText(detail, 'INVTRAN', 'MEMO'),
+    secId: ofxText(detail, 'SECID', 'UNIQUEID'),
+    quantity: ofxNumber(detail, 'UNITS'),
+    price: ofxNumber(detail, 'UNITPRICE'),
+    fees: (ofxNumber(detail, 'COMMISSION') || 0) + (ofxNumber(detail, 'FEES') || 0),
+    amount: ofxNumber(detail, 'TOTAL')
+  };
+
+  if (record.name.startsWith('BUY')) {
+    const subtype = ofxText(record, 'OPTBUYTYPE') || ofxText(record, 'BUYTYPE');
+    return { ...fields, action: { BUYTOOPEN: 'buy to open', BUYTOCLOSE: 'buy to close', BUYTOCOVER: 'buy to cover' }[subtype] || 'buy' };
+  }
+  if (record.name.startsWith('SELL')) {
+    const subtype = ofxText(record, 'OPTSELLTYPE') || ofxText(record, 'SELLTYPE');
+    return { ...fields, action: { SELLTOOPEN: 'sell to open', SELLTOCLOSE: 'sell to close', SELLSHORT: 'sell short' }[subtype] || 'sell' };
+  }
+
+  switch (record.name) {
+    case 'INCOME':
+      return { ...fields, action: OFX_INCOME_ACTIONS[ofxText(record, 'INCOMETYPE')] || 'distribution' };
+    case 'REINVEST':
+      return { ...fields, action: 'reinvest' };
+    case 'INVEXPENSE':
+      return { ...fields, action: 'fee' };
+    case 'CLOSUREOPT':
+      return { ...fields, action: { EXERCISE: 'exercise', ASSIGN: 'assign', EXPIRE: 'expire' }[ofxText(record, 'OPTACTION')] || null };
+    case 'SPLIT':
+      return { ...fields, action: 'split', quantity: (ofxNumber(record, 'NEWUNITS') || 0) - (ofxNumber(record, 'OLDUNITS') || 0) };
+    default:
+      return { ...fields, action: null };
+  }
+};
+
+// Positions as of the statement, in Plaid's holdings shape
+const ofxHoldings = (statement, accountId, securities, currency) => {
+  return (ofxChild(statement, 'INVPOSLIST')?.children || []).map(position => {
+    const pos = ofxChild(position, 'INVPOS');
+    const security = securities.get(ofxText(pos, 'SECID', 'UNIQUEID'));
+    const units = ofxNumber(pos, 'UNITS') || 0;
+
+    return {
+      account_id: accountId,
+      security_id: security?.security_id || null,
+      quantity: ofxText(pos, 'POSTYPE') === 'SHORT' ? -Math.abs(units) : units,
+      institution_price: ofxNumber(pos, 'UNITPRICE'),
+      institution_price_as_of: parseOfxDate(ofxText(pos, 'DTPRICEASOF')),
+      institution_value: ofxNumber(pos, 'MKTVAL'),
+      cost_basis: null,
+      iso_currency_code: currency,
+      unofficial_currency_code: null
+    };
+  }).filter(holding => holding.security_id);
+};
+
+// Words that don't tell brokers apart
+const INSTITUTION_FILLER_WORDS = ['the', 'inc', 'llc', 'co', 'corp', 'com', 'bank', 'investments', 'investment', 'securities', 'financial', 'brokerage', 'services', 'group'];
+
+const institutionWords = (name) => String(name || '').toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .split(' ')
+  .filter(word => word.length > 1 && !INSTITUTION_FILLER_WORDS.includes(word));
+
+// Compare a Plaid institution name ("Charles Schwab") with the OFX ORG and BROKERID
+// ("SCHWAB", "schwab.com"). Returns null when either side is unknown.
+const sameInstitution = (institutionName, ofxNames) => {
+  const plaidWords = institutionWords(institutionName);
+  const ofxWords = ofxNames.flatMap(institutionWords);
+  if (plaidWords.length === 0 || ofxWords.length === 0) return null;
+
+  const collapse = (words) => words.join('');
+  return plaidWords.some(word => ofxWords.includes(word)) ||
+    ofxNames.some(name => collapse(institutionWords(name)) === collapse(plaidWords));
+};
+
+// Pick the account a statement belongs to: an explicit account_id, a manual account
+// created from the same OFX account before, or a linked account at the same broker
+// with the same mask, else a newly created manual account. Returns
+// { account, matchedBy }, { candidates } when linked accounts share the statement's
+// mask but can't be confirmed as the same broker, or null when an explicit
+// account_id doesn't exist.
+const matchOfxAccount = async (userId, { accountId, brokerId, acctId, org, broker, currency }) => {
+  const ofxKey = `${brokerId || ''}:${acctId}`;
+
+  const { data: accounts, error } = await supabase
+    .from('investment_accounts')
+    .select('item_id, data, source')
+    .eq('user_id', userId);
+
+  if (error) {
+    throw new Error(`Failed to load accounts: ${error.message}`);
+  }
+
+  if (accountId) {
+    const account = accounts.find(a => a.data.account_id === accountId);
+    return account ? { account, matchedBy: 'account_id' } : null;
+  }
+
+  const previous = accounts.find(a => a.source === 'manual' && a.data.ofx_account === ofxKey);
+  if (previous) return { account: previous, matchedBy: 'ofx_account' };
+
+  // Four digits collide across brokers, so a mask match also needs the institution
+  const byMask = accounts.filter(a => a.source !== 'manual' && a.data.mask && acctId.endsWith(a.data.mask));
+  if (byMask.length > 0) {
+    const { data: items, error: itemsError } = await supabase
+      .from('user_plaid_tokens')
+      .select('item_id, institution_name')
+      .eq('user_id', userId)
+      .in('item_id', byMask.map(a => a.item_id));
+
+    if (itemsError) {
+      throw new Error(`Failed to load items: ${itemsError.message}`);
+    }
+
+    const institutions = new Map(items.map(item => [item.item_id, item.institution_name]));
+    const checked = byMask.map(account => ({ account, same: sameInstitution(institutions.get(account.item_id), [org, brokerId]) }));
+    const confirmed = checked.filter(c => c.same === true);
+    if (confirmed.length === 1) return { account: confirmed[0].account, matchedBy: 'mask' };
+
+    const possible = checked.filter(c => c.same !== false);
+    if (possible.length > 0) return { candidates: possible.map(c => c.account) };
+  }
+
+  const created = await resolveManualAccount(userId, {
+    broker,
+    currency,
+    details: { mask: acctId.slice(-4) || null, ofx_account: ofxKey }
+  });
+
+  return { account: { ...created, source: 'manual' }, matchedBy: 'created' };
+};
+
+// Plaid already covers a linked account from its earliest synced trade onward
+const plaidHistoryStart = async (userId, accountId) => {
+  const { data, error } = await supabase
+    .from('investment_transactions')
+    .select('date')
+    .eq('user_id', userId)
+    .eq('account_id', accountId)
+    .eq('source', 'plaid')
+    .order('date')
+    .limit(1);
+
+  if (error) {
+    throw new Error(`Failed to read Plaid history: ${error.message}`);
+  }
+  return data[0]?.date || null;
+};
+
+// Store statement positions as that day's snapshot unless one already exists
+const recordStatementSnapshot = async (userId, account, snapshotDate, holdings, cash, currency) => {
+  const { data: existing, error } = await supabase
+    .from('holdings_snapshots')
+    .select('id')
+    .eq('user_id', userId)
+    .eq('account_id', account.data.account_id)
+    .eq('snapshot_date', snapshotDate)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to check snapshots: ${error.message}`);
+  }
+  if (existing) return false;
+
+  await upsertInBatches('holdings_snapshots', [{
+    user_id: userId,
+    item_id: account.item_id,
+    account_id: account.data.account_id,
+    snapshot_date: snapshotDate,
+    total_value: round2(holdings.reduce((sum, h) => sum + (h.institution_value || 0), 0) + (cash || 0)),
+    cost_basis: null,
+    iso_currency_code: currency,
+    holdings: holdings.map(h => ({
+      security_id: h.security_id,
+      quantity: h.quantity,
+      institution_price: h.institution_price,
+      institution_value: h.institution_value,
+      cost_basis: null
+    }))
+  }], 'user_id,account_id,snapshot_date');
+
+  return true;
+};
+
+// Import OFX/QFX Investment Statement (Secure)
+// Each INVSTMTRS in the file is matched to an account and imported separately.
+app.post('/api/imports/ofx', [
+  body('ofx').isString().notEmpty().withMessage('ofx must contain the downloaded file contents'),
+  body('account_id').optional().isString().notEmpty(),
+], validateErrors, authenticateToken, async (req, res) => {
+  try {
+    logRequest(req, 'IMPORT_OFX');
+
+    const ofx = parseOfx(req.body.ofx);
+    const statements = ofx ? ofxFindAll(ofx, 'INVSTMTRS') : [];
+
+    if (statements.length === 0) {
+      return res.status(400).json({
+        error: 'UNRECOGNIZED_OFX_FORMAT',
+        message: 'No investment statement (INVSTMTRS) found',
+        display_message: 'We couldn\'t read this file. Please download an investment statement in OFX or QFX format.'
+      });
+    }
+
+    if (req.body.account_id && statements.length > 1) {
+      return res.status(400).json({
+        error: 'MULTIPLE_STATEMENTS',
+        message: 'account_id can only be used with single-account files',
+        display_message: 'This file has several accounts. Import it without choosing an account.'
+      });
+    }
+
+    const broker = ofxText(ofx, 'SIGNONMSGSRSV1', 'SONRS', 'FI', 'ORG');
+    const results = [];
+
+    for (const statement of statements) {
+      const currency = ofxText(statement, 'CURDEF') || 'USD';
+      const brokerId = ofxText(statement, 'INVACCTFROM', 'BROKERID');
+      const acctId = ofxText(statement, 'INVACCTFROM', 'ACCTID') || '';
+      const statementDate = parseOfxDate(ofxText(statement, 'DTASOF'));
+
+      const match = await matchOfxAccount(req.user.id, {
+        accountId: req.body.account_id,
+        brokerId,
+        acctId,
+        org: broker,
+        broker: broker || brokerId || 'OFX',
+        currency
+      });
+
+      if (!match) {
+        return res.status(404).json({
+          error: 'ACCOUNT_NOT_FOUND',
+          message: 'Account not found',
+          display_message: 'That account no longer exists. Please choose another.'
+        });
+      }
+
+      if (match.candidates) {
+        return res.status(409).json({
+          error: 'ACCOUNT_MATCH_AMBIGUOUS',
+          message: `Statement account ending ${acctId.slice(-4)} matches linked accounts that can't be confirmed as the same broker`,
+          display_message: 'We couldn\'t tell which account this statement belongs to. Please choose the account and import again.',
+          candidates: match.candidates.map(candidate => ({
+            account_id: candidate.data.account_id,
+            name: candidate.data.name,
+            mask: candidate.data.mask,
+            item_id: candidate.item_id
+          }))
+        });
+      }
+
+      const { account, matchedBy } = match;
+      const accountId = account.data.account_id;
+      const securities = ofxSecurities(req.user.id, ofx, currency);
+      const cutoff = account.source === 'manual' ? null : await plaidHistoryStart(req.user.id, accountId);
+
+      const normalized = [];
+      const keys = [];
+      const usedSecurities = [];
+      const skipped = [];
+      let coveredByPlaid = 0;
+
+      (ofxChild(statement, 'INVTRANLIST')?.children || [])
+        .filter(record => !['DTSTART', 'DTEND'].includes(record.name))
+        .forEach(record => {
+          const fields = ofxRecord(record);
+
+          if (!fields.date || !fields.action) {
+            skipped.push({ fitid: fields.fitid, record: record.name, reason: `Unsupported ${record.name} record` });
+            return;
+          }
+          if (cutoff && fields.date >= cutoff) {
+            coveredByPlaid++;
+            return;
+          }
+
+          const security = fields.secId ? securities.get(fields.secId) : null;
+          const result = normalizeImportedTransaction({
+            userId: req.user.id,
+            accountId,
+            date: fields.date,
+            action: fields.action,
+            security,
+            description: fields.description || security?.name || null,
+            quantity: fields.quantity,
+            price: fields.price,
+            fees: fields.fees,
+            amount: fields.amount,
+            currency
+          });
+
+          if (result.skip) {
+            skipped.push({ fitid: fields.fitid, record: record.name, reason: result.skip });
+            return;
+          }
+
+          normalized.push(result.transaction);
+          keys.push(fields.fitid ? `fitid|${fields.fitid}` : null);
+          if (result.security) usedSecurities.push(result.security);
+        });
+
+      const holdings = ofxHoldings(statement, accountId, securities, currency);
+      const heldSecurities = holdings.map(h => Array.from(securities.values()).find(sec => sec.security_id === h.security_id));
+
+      const transactions = assignImportIds(normalized, keys);
+      const { imported, duplicates } = await storeImportedTransactions(
+        req.user.id, account, transactions, [...usedSecurities, ...heldSecurities], 'ofx'
+      );
+
+      const snapshotRecorded = statementDate && holdings.length > 0 ?
+        await recordStatementSnapshot(req.user.id, account, statementDate, holdings, ofxNumber(statement, 'INVBAL', 'AVAILCASH'), currency) :
+        false;
+
+      results.push({
+        account: account.source === 'manual' ? manualAccountView(account) : { ...account.data, item_id: account.item_id },
+        matched_by: matchedBy,
+        statement_date: statementDate,
+        imported,
+        duplicates,
+        covered_by_plaid: coveredByPlaid,
+        plaid_history_start: cutoff,
+        skipped: skipped.slice(0, IMPORT_MAX_REPORTED_SKIPS),
+        skipped_count: skipped.length,
+        holdings,
+        securities: Array.from(new Map(heldSecurities.map(sec => [sec.security_id, sec])).values()),
+        snapshot_recorded: snapshotRecorded
+      });
+
+      await recordAudit(req, 'OFX_IMPORT', {
+        itemId: account.item_id,
+        metadata: { matched_by: matchedBy, imported, duplicates, covered_by_plaid: coveredByPlaid, skipped: skipped.length }
+      });
+    }
+
+    console.log(`📥 OFX import for ${req.user.name}: ${results.reduce((sum, r) => sum + r.imported, 0)} new transactions across ${results.length} statement(s)`);
+
+    res.json({
+      statements: results,
+      total_imported: results.reduce((sum, r) => sum + r.imported, 0),
+      total_duplicates: results.reduce((sum, r) => sum + r.duplicates, 0)
+    });
+
+  } catch (error) {
+    console.error('❌ OFX import failed:', error.message);
+    await recordAudit(req, 'OFX_IMPORT', { outcome: 'failure' });
+    res.status(500).json({
+      error: 'IMPORT_FAILED',
+      message: 'Failed to import OFX statement',
+      display_message: 'Unable to import your file. Please try again.'
+    });
+  }
+});
+
+// =======================
+// PORTFOLIO SNAPSHOTS & HISTORY
+// =======================
+
+const HISTORY_RANGES = {
+  '1M': { months: 1 },
+  '3M': { months: 3 },
+  '1Y': { months: 12 },
+  'ALL': null
+};
+
+// Write one row per account for today from an investmentsHoldingsGet payload.
+// Re-running on the same day overwrites that day's row.
+const recordHoldingsSnapshot = async (userId, itemId, holdingsData) => {
+  const snapshotDate = toDateString(new Date());
+  const securitiesById = new Map(holdingsData.securities.map(sec => [sec.security_id, sec]));
+
+  await storeAccounts(userId, itemId, holdingsData.accounts);
+  await storeSecurities(holdingsData.securities);
+
+  const rows = holdingsData.accounts.map(account => {
+    const positions = holdingsData.holdings.filter(h => h.account_id === account.account_id);
+    const marketValue = positions.reduce((sum, h) => sum + (h.institution_value || 0), 0);
+    const costBasis = positions.reduce((sum, h) => sum + (h.cost_basis || 0), 0);
+
+    return {
+      user_id: userId,
+      item_id: itemId,
+      account_id: account.account_id,
+      snapshot_date: snapshotDate,
+      // Accounts without itemized holdings still report a balance
+      total_value: positions.length > 0 ? marketValue : (account.balances?.current || 0),
+      cost_basis: costBasis,
+      iso_currency_code: account.balances?.iso_currency_code || 'USD',
+      holdings: positions.map(h => ({
+        security_id: h.security_id,
+        ticker_symbol: securitiesById.get(h.security_id)?.ticker_symbol || null,
+        quantity: h.quantity,
+        institution_price: h.institution_price,
+        institution_value: h.institution_value,
+        cost_basis: h.cost_basis
+      }))
+    };
+  });
+
+  await upsertInBatches('holdings_snapshots', rows, 'user_id,account_id,snapshot_date');
+  await updateItemByItemId(itemId, { holdings_snapshot_date: snapshotDate });
+
+  return { item_id: itemId, snapshot_date: snapshotDate, accounts: rows.length };
+};
+
+const snapshotItem = async (userId, tokenInfo) => {
+  const response = await plaidClient.investmentsHoldingsGet({
+    access_token: decryptAccessToken(tokenInfo)
+  });
+  return recordHoldingsSnapshot(userId, tokenInfo.item_id, response.data);
+};
+
+// Snapshot every active item that doesn't have one for today yet.
+// Items run one at a time to stay well under Plaid's rate limits.
+const snapshotDueItems = async () => {
+  const today = toDateString(new Date());
+  const tokens = await fetchAllRows(() => supabase
+    .from('user_plaid_tokens')
+    .select(`user_id, ${LEDGER_TOKEN_COLUMNS}, holdings_snapshot_date`)
+    .eq('is_active', true)
+    .or(`holdings_snapshot_date.is.null,holdings_snapshot_date.lt.${today}`)
+    .order('id'));
+
+  let recorded = 0;
+  let failed = 0;
+
+  for (const tokenInfo of tokens) {
+    try {
+      await snapshotItem(tokenInfo.user_id, tokenInfo);
+      recorded++;
+    } catch (error) {
+      console.error(`❌ Holdings snapshot failed for item ${tokenInfo.item_id}:`, error.response?.data || error.message);
+      await recordItemFailure(tokenInfo, error);
+      failed++;
+    }
+  }
+
+  return { recorded, failed };
+};
+
+let snapshotJobRunning = false;
+
+const runScheduledSnapshots = async () => {
+  if (snapshotJobRunning) return;
+  snapshotJobRunning = true;
+
+  try {
+    const { recorded, failed } = await snapshotDueItems();
+    if (recorded > 0 || failed > 0) {
+      console.log(`📸 Holdings snapshots: ${recorded} recorded, ${failed} failed`);
+    }
+  } catch (error) {
+    console.error('❌ Scheduled holdings snapshot run failed:', error.message);
+  } finally {
+    snapshotJobRunning = false;
+  }
+};
+
+// Carry each account's last known value forward so a missed day doesn't look like a drop
+const buildHistorySeries = (snapshots) => {
+  const dates = Array.from(new Set(snapshots.map(s => s.snapshot_date))).sort();
+  const byDate = new Map(dates.map(date => [date, []]));
+  snapshots.forEach(snapshot => byDate.get(snapshot.snapshot_date).push(snapshot));
+
+  const latestByAccount = new Map();
+  const accountSeries = new Map();
+
+  const series = dates.map(date => {
+    byDate.get(date).forEach(snapshot => {
+      latestByAccount.set(snapshot.account_id, snapshot);
+
+      if (!accountSeries.has(snapshot.account_id)) {
+        accountSeries.set(snapshot.account_id, { account_id: snapshot.account_id, item_id: snapshot.item_id, series: [] });
+      }
+      accountSeries.get(snapshot.account_id).series.push({
+        date,
+        value: Number(snapshot.total_value),
+        cost_basis: Number(snapshot.cost_basis)
+      });
+    });
+
+    let value = 0;
+    let costBasis = 0;
+    latestByAccount.forEach(snapshot => {
+      value += Number(snapshot.total_value);
+      costBasis += Number(snapshot.cost_basis);
+    });
+
+    return { date, value, cost_basis: costBasis };
+  });
+
+  return { series, accounts: Array.from(accountSeries.values()) };
+};
+
+// Record Holdings Snapshot On Demand (Secure)
+app.post('/api/portfolio/snapshots', authenticateToken, async (req, res) => {
+  try {
+    logRequest(req, 'RECORD_HOLDINGS_SNAPSHOT');
+
+    const { data: tokens, error } = await supabase
+      .from('user_plaid_tokens')
+      .select(LEDGER_TOKEN_COLUMNS)
+      .eq('user_id', req.user.id)
+      .eq('is_active', true);
+
+    if (error || !tokens || tokens.length === 0) {
+      return res.status(404).json({
+        error: 'NO_CONNECTED_ACCOUNTS',
+        message: 'No connected accounts found',
+        display_message: 'Please connect an account first.'
+      });
+    }
+
+    const snapshots = [];
+    const failedItems = [];
+
+    for (const tokenInfo of tokens) {
+      try {
+        snapshots.push(await snapshotItem(req.user.id, tokenInfo));
+      } catch (error) {
+        console.error(`❌ Holdings snapshot failed for item ${tokenInfo.item_id}:`, error.response?.data || error.message);
+        failedItems.push(await recordItemFailure(tokenInfo, error));
+      }
+    }
+
+    res.json({
+      snapshots,
+      failed_items: failedItems,
+      total_connected_accounts: tokens.length
+    });
+
+  } catch (error) {
+    console.error('❌ Holdings snapshot failed:', error.message);
+    res.status(500).json({
+      error: 'SNAPSHOT_FAILED',
+      message: 'Failed to record holdings snapshot',
+      display_message: 'Unable to update your portfolio history. Please try again.'
+    });
+  }
+});
+
+// Items whose snapshots make up the portfolio: active Plaid items plus manual (CSV and
+// OFX imported) accounts, which snapshot under their own item IDs
+const loadSnapshotItems = async (userId) => {
+  const { data: tokens, error } = await supabase
+    .from('user_plaid_tokens')
+    .select(`item_id, ${INSTITUTION_COLUMNS}`)
+    .eq('user_id', userId)
+    .eq('is_active', true);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  const manualAccounts = await loadManualAccounts(userId);
+
+  return {
+    itemIds: [...tokens.map(t => t.item_id), ...manualAccounts.map(a => a.item_id)],
+    institutionsByItem: new Map([
+      ...tokens.map(t => [t.item_id, t.institution_name]),
+      ...manualAccounts.map(row => [row.item_id, manualAccountView(row).institution_name])
+    ])
+  };
+};
+
+// Get Portfolio Value History (Secure)
+app.get('/api/portfolio/history', [
+  query('range').optional().isIn(Object.keys(HISTORY_RANGES)).withMessage('range must be one of 1M, 3M, 1Y, ALL'),
+], validateErrors, authenticateToken, async (req, res) => {
+  try {
+    logRequest(req, 'GET_PORTFOLIO_HISTORY');
+
+    const range = req.query.range || '1M';
+    let startDate = null;
+    if (HISTORY_RANGES[range]) {
+      const start = new Date();
+      start.setUTCMonth(start.getUTCMonth() - HISTORY_RANGES[range].months);
+      startDate = toDateString(start);
+    }
+
+    const { itemIds, institutionsByItem } = await loadSnapshotItems(req.user.id);
+
+    const snapshots = await fetchAllRows(() => {
+      let snapshotQuery = supabase
+        .from('holdings_snapshots')
+        .select('item_id, account_id, snapshot_date, total_value, cost_basis')
+        .eq('user_id', req.user.id)
+        .in('item_id', itemIds);
+
+      if (startDate) snapshotQuery = snapshotQuery.gte('snapshot_date', startDate);
+
+      return snapshotQuery.order('snapshot_date').order('account_id');
+    });
+
+    const { series, accounts } = buildHistorySeries(snapshots);
+
+    const storedAccounts = await loadAccounts(req.user.id, itemIds);
+    const accountNames = new Map(storedAccounts.map(row => [row.data.account_id, row.data.name]));
+
+    const first = series[0];
+    const last = series[series.length - 1];
+
+    res.json({
+      range,
+      start_date: first?.date || null,
+      end_date: last?.date || null,
+      series,
+      accounts: accounts.map(account => ({
+        ...account,
+        name: accountNames.get(account.account_id) || null,
+        institution_name: institutionsByItem.get(account.item_id) || null
+      })),
+      summary: {
+        start_value: first?.value ?? null,
+        end_value: last?.value ?? null,
+        change: first && last ? last.value - first.value : null,
+        change_percent: first && last && first.value !== 0 ? ((last.value - first.value) / first.value) * 100 : null,
+        cost_basis: last?.cost_basis ?? null
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Portfolio history failed:', error.message);
+    res.status(500).json({
+      error: 'PORTFOLIO_HISTORY_FAILED',
+      message: 'Failed to build portfolio history',
+      display_message: 'Unable to load your portfolio history. Please try again.'
+    });
+  }
+});
+
+// =======================
+// COST BASIS ENGINE
+// =======================
+
+// Pull live holdings for every active item (also recording today's snapshot).
+// Failed items are reported rather than thrown.
+const fetchLiveHoldings = async (userId) => {
+  const { data: tokens, error } = await supabase
+    .from('user_plaid_tokens')
+    .select(LEDGER_TOKEN_COLUMNS)
+    .eq('user_id', userId)
+    .eq('is_active', true);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  const failedItems = [];
+  const results = await Promise.all(tokens.map(async (tokenInfo) => {
+    try {
+      const response = await plaidClient.investmentsHoldingsGet({
+        access_token: decryptAccessToken(tokenInfo)
+      });
+
+      recordHoldingsSnapshot(userId, tokenInfo.item_id, response.data).catch(snapshotError => {
+        console.error(`Failed to record holdings snapshot for item ${tokenInfo.item_id}:`, snapshotError.message);
+      });
+
+      return { tokenInfo, data: response.data };
+    } catch (fetchError) {
+      console.error(`❌ Failed to fetch holdings for item ${tokenInfo.item_id}:`, fetchError.response?.data || fetchError.message);
+      failedItems.push(await recordItemFailure(tokenInfo, fetchError));
+      return null;
+    }
+  }));
+
+  const valid = results.filter(Boolean);
+  const manual = await loadManualHoldings(userId);
+
+  return {
+    tokens,
+    accounts: [...valid.flatMap(r => withInstitution(r.data.accounts, r.tokenInfo)), ...manual.accounts],
+    holdings: [...valid.flatMap(r => r.data.holdings.map(h => ({ ...h, item_id: r.tokenInfo.item_id }))), ...manual.holdings],
+    securities: [...valid.flatMap(r => r.data.securities), ...manual.securities],
+    failedItems
+  };
+};
+
+// Portfolio views pull live Plaid data too, so they are audited like the holdings
+// endpoint, tagged with the view that made the pull
+const auditHoldingsPull = (req, live, view) => recordAudit(req, 'HOLDINGS_PULL', {
+  outcome: live.failedItems.length > 0 ? 'partial' : 'success',
+  metadata: { view, items: live.tokens.length, failed_items: live.failedItems.map(f => f.item_id) }
+});
+
+// Value open lots at the account's holding price, else the security's last close.
+// Short lots carry negative quantity and basis, so their value and gain come out signed.
+const valueOpenLots = (openLots, holdings, securitiesById, asOf) => {
+  const holdingPrices = new Map(holdings.map(h => [`${h.account_id}:${h.security_id}`, h.institution_price]));
+
+  return openLots.map(lot => {
+    const security = securitiesById.get(lot.security_id);
+    const price = holdingPrices.get(`${lot.account_id}:${lot.security_id}`) ?? security?.close_price ?? null;
+    const multiplier = security?.option_contract ? OPTION_CONTRACT_MULTIPLIER : 1;
+    const marketValue = price === null ? null : round2(price * lot.quantity * multiplier);
+
+    return {
+      ...lot,
+      ticker_symbol: security?.ticker_symbol || null,
+      security_name: security?.name || null,
+      price,
+      market_value: marketValue,
+      unrealized_gain: marketValue === null ? null : round2(marketValue - lot.cost_basis),
+      term: lot.side === 'short' ? 'short' : holdingTerm(lot.date_acquired, asOf)
+    };
+  });
+};
+
+// Get Realized and Unrealized Gains (Secure)
+app.get('/api/portfolio/gains', [
+  query('method').optional().customSanitizer(value => String(value).toUpperCase()).isIn(COST_BASIS_METHODS).withMessage('method must be one of FIFO, LIFO, HIFO, AVERAGE'),
+  query('start_date').optional().matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('start_date must be in YYYY-MM-DD format'),
+  query('end_date').optional().matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('end_date must be in YYYY-MM-DD format'),
+], validateErrors, authenticateToken, async (req, res) => {
+  try {
+    logRequest(req, 'GET_PORTFOLIO_GAINS');
+
+    const method = (req.query.method || 'FIFO').toUpperCase();
+    const { start_date, end_date } = req.query;
+    const today = toDateString(new Date());
+
+    // Basis depends on every earlier trade, so always replay the full ledger
+    const { transactions, securities } = await loadLedger(req.user.id);
+    const live = await fetchLiveHoldings(req.user.id);
+    await auditHoldingsPull(req, live, 'gains');
+
+    const securitiesById = new Map(securities.map(sec => [sec.security_id, sec]));
+    live.securities.forEach(sec => securitiesById.set(sec.security_id, sec));
+
+    const { realized, openLots, washSales } = computeLotsWithWashSales(transactions, securitiesById, { method });
+    const disallowedByPiece = disallowedLossByPiece(washSales);
+
+    // A washed loss is recognized later through the replacement's basis, so it
+    // comes out of the gain here to avoid counting it twice
+    const realizedInRange = realized
+      .filter(row => (!start_date || row.date_sold >= start_date) && (!end_date || row.date_sold <= end_date))
+      .map(row => {
+        const disallowed = disallowedByPiece.get(`${row.sell_transaction_id}:${row.buy_transaction_id}`) || 0;
+        return {
+          ...row,
+          gain: row.gain === null ? null : round2(row.gain + disallowed),
+          disallowed_loss: disallowed,
+          ticker_symbol: securitiesById.get(row.security_id)?.ticker_symbol || null,
+          security_name: securitiesById.get(row.security_id)?.name || null
+        };
+      });
+
+    const valuedLots = valueOpenLots(openLots, live.holdings, securitiesById, today);
+    const pricedLots = valuedLots.filter(lot => lot.unrealized_gain !== null);
+
+    res.json({
+      method,
+      date_range: { start_date: start_date || null, end_date: end_date || null },
+      realized: realizedInRange,
+      realized_summary: summarizeGains(realizedInRange),
+      open_lots: valuedLots,
+      unrealized_summary: {
+        short_term: round2(pricedLots.filter(l => l.term === 'short').reduce((sum, l) => sum + l.unrealized_gain, 0)),
+        long_term: round2(pricedLots.filter(l => l.term === 'long').reduce((sum, l) => sum + l.unrealized_gain, 0)),
+        total: round2(pricedLots.reduce((sum, l) => sum + l.unrealized_gain, 0)),
+        market_value: round2(pricedLots.reduce((sum, l) => sum + l.market_value, 0)),
+        cost_basis: round2(valuedLots.reduce((sum, l) => sum + l.cost_basis, 0)),
+        unpriced_lots: valuedLots.length - pricedLots.length
+      },
+      failed_items: live.failedItems
+    });
+
+  } catch (error) {
+    console.error('❌ Gains calculation failed:', error.message);
+    res.status(500).json({
+      error: 'GAINS_CALCULATION_FAILED',
+      message: 'Failed to calculate gains',
+      display_message: 'Unable to calculate your gains. Please try again.'
+    });
+  }
+});
+
+// =======================
+// WASH SALE DETECTION
+// =======================
+
+// Get Wash Sales Across All Accounts (Secure)
+app.get('/api/portfolio/wash-sales', [
+  query('method').optional().customSanitizer(value => String(value).toUpperCase()).isIn(COST_BASIS_METHODS).withMessage('method must be one of FIFO, LIFO, HIFO, AVERAGE'),
+  query('start_date').optional().matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('start_date must be in YYYY-MM-DD format'),
+  query('end_date').optional().matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('end_date must be in YYYY-MM-DD format'),
+  query('transaction_id').optional().isString(),
+], validateErrors, authenticateToken, async (req, res) => {
+  try {
+    logRequest(req, 'GET_WASH_SALES');
+
+    const method = (req.query.method || 'FIFO').toUpperCase();
+    const { start_date, end_date, transaction_id } = req.query;
+
+    const { transactions, securities } = await loadLedger(req.user.id);
+    const securitiesById = new Map(securities.map(sec => [sec.security_id, sec]));
+
+    const { washSales: allWashSales } = computeLotsWithWashSales(transactions, securitiesById, { method });
+
+    const washSales = allWashSales
+      .filter(w => (!start_date || w.date_sold >= start_date) && (!end_date || w.date_sold <= end_date))
+      .filter(w => !transaction_id || w.sell_transaction_id === transaction_id ||
+        w.replacements.some(r => r.buy_transaction_id === transaction_id));
+
+    // Per-transaction lookup so the app can badge a trade without scanning the list
+    const transactionFlags = {};
+    washSales.forEach(w => {
+      const saleFlag = transactionFlags[w.sell_transaction_id] || { role: 'loss_sale', disallowed_loss: 0 };
+      saleFlag.disallowed_loss = round2(saleFlag.disallowed_loss + w.disallowed_loss);
+      transactionFlags[w.sell_transaction_id] = saleFlag;
+
+      w.replacements.forEach(r => {
+        const buyFlag = transactionFlags[r.buy_transaction_id] || { role: 'replacement', basis_adjustment: 0 };
+        buyFlag.basis_adjustment = round2(buyFlag.basis_adjustment + r.basis_adjustment);
+        transactionFlags[r.buy_transaction_id] = buyFlag;
+      });
+    });
+
+    res.json({
+      method,
+      date_range: { start_date: start_date || null, end_date: end_date || null },
+      wash_sales: washSales,
+      transaction_flags: transactionFlags,
+      summary: {
+        count: washSales.length,
+        cross_account_count: washSales.filter(w => w.cross_account).length,
+        total_disallowed_loss: round2(washSales.reduce((sum, w) => sum + w.disallowed_loss, 0))
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Wash sale detection failed:', error.message);
+    res.status(500).json({
+      error: 'WASH_SALE_DETECTION_FAILED',
+      message: 'Failed to detect wash sales',
+      display_message: 'Unable to check your trades for wash sales. Please try again.'
+    });
+  }
+});
+
+// =======================
+// PORTFOLIO PERFORMANCE
+// =======================
+
+// Cash subtypes that move money into or out of an account from outside it.
+// Plaid signs amounts from the account's side, so a deposit is negative.
+const EXTERNAL_FLOW_SUBTYPES = ['deposit', 'contribution', 'withdrawal'];
+
+const externalFlows = (transactions) => {
+  return transactions
+    .filter(t => t.type === 'cash' && EXTERNAL_FLOW_SUBTYPES.includes(t.subtype))
+    .map(t => ({ date: t.date, account_id: t.account_id, amount: -(t.amount || 0) }));
+};
+
+// Portfolio-level valuations with every account carried forward. An account's
+// first appearance after the start (a newly linked item) counts as an inflow
+// so it isn't reported as performance.
+const portfolioPoints = (snapshots) => {
+  const { series } = buildHistorySeries(snapshots);
+  const seen = new Set();
+  const linkedFlows = [];
+
+  snapshots.forEach(snapshot => {
+    if (seen.has(snapshot.account_id)) return;
+    seen.add(snapshot.account_id);
+    if (series.length > 0 && snapshot.snapshot_date > series[0].date) {
+      linkedFlows.push({ date: snapshot.snapshot_date, account_id: snapshot.account_id, amount: Number(snapshot.total_value), linked: true });
+    }
+  });
+
+  return { points: series.map(p => ({ date: p.date, value: p.value })), linkedFlows };
+};
+
+// Get Time- and Money-Weighted Returns (Secure)
+app.get('/api/portfolio/performance', [
+  query('range').optional().isIn(Object.keys(HISTORY_RANGES)).withMessage('range must be one of 1M, 3M, 1Y, ALL'),
+  query('start_date').optional().matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('start_date must be in YYYY-MM-DD format'),
+  query('end_date').optional().matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('end_date must be in YYYY-MM-DD format'),
+], validateErrors, authenticateToken, async (req, res) => {
+  try {
+    logRequest(req, 'GET_PORTFOLIO_PERFORMANCE');
+
+    // Explicit dates win over a named range
+    const range = req.query.start_date || req.query.end_date ? null : (req.query.range || '1Y');
+    let startDate = req.query.start_date || null;
+    const endDate = req.query.end_date || null;
+    if (range && HISTORY_RANGES[range]) {
+      const start = new Date();
+      start.setUTCMonth(start.getUTCMonth() - HISTORY_RANGES[range].months);
+      startDate = toDateString(start);
+    }
+
+    if (startDate && endDate && startDate > endDate) {
+      return res.status(400).json({
+        error: 'INVALID_DATE_RANGE',
+        message: 'start_date must be on or before end_date',
+        display_message: 'Please choose a valid date range.'
+      });
+    }
+
+    // Manual and imported accounts count toward the portfolio just like Plaid items
+    const { itemIds, institutionsByItem } = await loadSnapshotItems(req.user.id);
+
+    const snapshots = await fetchAllRows(() => {
+      let snapshotQuery = supabase
+        .from('holdings_snapshots')
+        .select('item_id, account_id, snapshot_date, total_value, cost_basis')
+        .eq('user_id', req.user.id)
+        .in('item_id', itemIds);
+
+      if (startDate) snapshotQuery = snapshotQuery.gte('snapshot_date', startDate);
+      if (endDate) snapshotQuery = snapshotQuery.lte('snapshot_date', endDate);
+
+      return snapshotQuery.order('snapshot_date').order('account_id');
+    });
+
+    const { transactions } = await loadLedger(req.user.id, { itemIds, startDate, endDate });
+    const flows = externalFlows(transactions);
+
+    const { points, linkedFlows } = portfolioPoints(snapshots);
+    const { accounts } = buildHistorySeries(snapshots);
+
+    const storedAccounts = await loadAccounts(req.user.id, itemIds);
+    const accountNames = new Map(storedAccounts.map(row => [row.data.account_id, row.data.name]));
+
+    res.json({
+      range,
+      portfolio: {
+        ...measurePerformance(points, [...flows, ...linkedFlows]),
+        valuation_points: points.length
+      },
+      accounts: accounts.map(account => {
+        const accountPoints = account.series.map(p => ({ date: p.date, value: p.value }));
+        return {
+          account_id: account.account_id,
+          item_id: account.item_id,
+          name: accountNames.get(account.account_id) || null,
+          institution_name: institutionsByItem.get(account.item_id) || null,
+          ...measurePerformance(accountPoints, flows.filter(f => f.account_id === account.account_id)),
+          valuation_points: accountPoints.length
+        };
+      })
+    });
+
+  } catch (error) {
+    console.error('❌ Performance calculation failed:', error.message);
+    res.status(500).json({
+      error: 'PERFORMANCE_CALCULATION_FAILED',
+      message: 'Failed to calculate portfolio performance',
+      display_message: 'Unable to calculate your returns. Please try again.'
+    });
+  }
+});
+
+// =======================
+// ASSET ALLOCATION
+// =======================
+
+// Positions above this share of the portfolio get a concentration warning
+const CONCENTRATION_WARNING_PERCENT = parseFloat(process.env.CONCENTRATION_WARNING_PERCENT ?? '20');
+
+// Collapse Plaid's security types into the buckets the app displays
+const allocationType = (security) => {
+  if (!security) return 'other';
+  if (isCashSecurity(security)) return 'cash';
+  if (security.option_contract || security.type === 'derivative') return 'option';
+  if (security.type === 'cryptocurrency') return 'crypto';
+  return security.type || 'other';
+};
+
+const groupAllocation = (positions, keyOf, describe, totalValue) => {
+  const groups = new Map();
+
+  positions.forEach(position => {
+    const key = keyOf(position);
+    if (!groups.has(key)) {
+      groups.set(key, { key, ...describe(position), market_value: 0, positions: 0 });
+    }
+    const group = groups.get(key);
+    group.market_value += position.market_value;
+    group.positions++;
+  });
+
+  return Array.from(groups.values())
+    .map(({ key, ...group }) => ({
+      ...group,
+      market_value: round2(group.market_value),
+      percent: totalValue !== 0 ? Math.round((group.market_value / totalValue) * 10000) / 100 : null
+    }))
+    .sort((a, b) => b.market_value - a.market_value);
+};
+
+// Get Asset Allocation and Exposure (Secure)
+app.get('/api/portfolio/allocation', [
+  query('concentration_threshold').optional().isFloat({ min: 0, max: 100 }).withMessage('concentration_threshold must be a percentage between 0 and 100').toFloat(),
+], validateErrors, authenticateToken, async (req, res) => {
+  try {
+    logRequest(req, 'GET_PORTFOLIO_ALLOCATION');
+
+    const threshold = req.query.concentration_threshold ?? CONCENTRATION_WARNING_PERCENT;
+    const live = await fetchLiveHoldings(req.user.id);
+    await auditHoldingsPull(req, live, 'allocation');
+
+    if (live.tokens.length === 0 && live.accounts.length === 0) {
+      return res.status(404).json({
+        error: 'NO_CONNECTED_ACCOUNTS',
+        message: 'No connected accounts found',
+        display_message: 'Please connect an account first.'
+      });
+    }
+
+    const securitiesById = new Map(live.securities.map(sec => [sec.security_id, sec]));
+    const accountsById = new Map(live.accounts.map(account => [account.account_id, account]));
+
+    const positions = live.holdings.map(holding => {
+      const security = securitiesById.get(holding.security_id);
+      const account = accountsById.get(holding.account_id);
+
+      return {
+        account_id: holding.account_id,
+        item_id: holding.item_id,
+        security_id: holding.security_id,
+        ticker_symbol: security?.ticker_symbol || null,
+        security_name: security?.name || null,
+        type: allocationType(security),
+        quantity: holding.quantity,
+        price: holding.institution_price,
+        market_value: holding.institution_value || 0,
+        cost_basis: holding.cost_basis ?? null,
+        currency: holding.iso_currency_code || holding.unofficial_currency_code || account?.balances?.iso_currency_code || 'USD',
+        account_name: account?.name || null,
+        institution_id: account?.institution_id || null,
+        institution_name: account?.institution_name || null
+      };
+    });
+
+    const totalValue = positions.reduce((sum, p) => sum + p.market_value, 0);
+    const percentOf = (value) => (totalValue !== 0 ? Math.round((value / totalValue) * 10000) / 100 : null);
+
+    // The same security held in several accounts is one exposure
+    const bySecurity = groupAllocation(
+      positions,
+      p => p.security_id,
+      p => ({ security_id: p.security_id, ticker_symbol: p.ticker_symbol, security_name: p.security_name, type: p.type }),
+      totalValue
+    );
+
+    const concentrationWarnings = bySecurity
+      .filter(group => group.type !== 'cash' && group.percent !== null && group.percent > threshold)
+      .map(group => ({
+        security_id: group.security_id,
+        ticker_symbol: group.ticker_symbol,
+        security_name: group.security_name,
+        market_value: group.market_value,
+        percent: group.percent,
+        message: `${group.ticker_symbol || group.security_name || 'One position'} is ${group.percent}% of your portfolio, above the ${threshold}% concentration threshold.`
+      }));
+
+    res.json({
+      total_value: round2(totalValue),
+      concentration_threshold: threshold,
+      by_type: groupAllocation(positions, p => p.type, p => ({ type: p.type }), totalValue),
+      by_account: groupAllocation(
+        positions,
+        p => p.account_id,
+        p => ({ account_id: p.account_id, item_id: p.item_id, account_name: p.account_name, institution_name: p.institution_name }),
+        totalValue
+      ),
+      by_institution: groupAllocation(
+        positions,
+        p => p.institution_id || p.item_id,
+        p => ({ institution_id: p.institution_id, institution_name: p.institution_name }),
+        totalValue
+      ),
+      // Values are summed as reported; no FX conversion is applied
+      by_currency: groupAllocation(positions, p => p.currency, p => ({ currency: p.currency }), totalValue),
+      by_security: bySecurity,
+      positions: positions
+        .map(p => ({ ...p, percent: percentOf(p.market_value) }))
+        .sort((a, b) => b.market_value - a.market_value),
+      concentration_warnings: concentrationWarnings,
+      failed_items: live.failedItems
+    });
+
+  } catch (error) {
+    console.error('❌ Allocation calculation failed:', error.message);
+    res.status(500).json({
+      error: 'ALLOCATION_CALCULATION_FAILED',
+      message: 'Failed to calculate asset allocation',
+      display_message: 'Unable to load your allocation. Please try again.'
+    });
+  }
+});
+
+// =======================
+// OPTIONS TRACKING
+// =======================
+
+const isOptionSecurity = (security) => !!security?.option_contract;
+
+// Name a set of legs sharing an underlying and expiry. Legs are
+// { contract_type, strike, side, contracts }; `sharesHeld` covers short calls.
+const classifyOptionStrategy = (legs, sharesHeld = 0) => {
+  const calls = legs.filter(l => l.contract_type === 'call').sort((a, b) => a.strike - b.strike);
+  const puts = legs.filter(l => l.contract_type === 'put').sort((a, b) => a.strike - b.strike);
+  const sameSize = legs.every(l => Math.abs(l.contracts - legs[0].contracts) < QUANTITY_EPSILON);
+
+  if (legs.length === 1) {
+    const [leg] = legs;
+    if (leg.side === 'long') return `long ${leg.contract_type}`;
+    if (leg.contract_type === 'call' && sharesHeld >= leg.contracts * OPTION_CONTRACT_MULTIPLIER) return 'covered call';
+    return `short ${leg.contract_type}`;
+  }
+
+  if (legs.length === 2 && sameSize) {
+    const [low, high] = calls.length === 2 ? calls : puts;
+    if (calls.length === 2 || puts.length === 2) {
+      if (low.side === high.side) return 'custom';
+      if (calls.length === 2) return low.side === 'long' ? 'bull call spread' : 'bear call spread';
+      return high.side === 'long' ? 'bear put spread' : 'bull put spread';
+    }
+
+    const [call] = calls;
+    const [put] = puts;
+    if (call.side !== put.side) return call.side === 'long' ? 'synthetic long' : 'synthetic short';
+    const shape = call.strike === put.strike ? 'straddle' : 'strangle';
+    return `${call.side} ${shape}`;
+  }
+
+  if (legs.length === 4 && sameSize && calls.length === 2 && puts.length === 2) {
+    const shortCall = calls.find(l => l.side === 'short');
+    const shortPut = puts.find(l => l.side === 'short');
+    const longCall = calls.find(l => l.side === 'long');
+    const longPut = puts.find(l => l.side === 'long');
+
+    if (shortCall && shortPut && longCall && longPut &&
+        longCall.strike > shortCall.strike && longPut.strike < shortPut.strike) {
+      return shortCall.strike === shortPut.strike ? 'iron butterfly' : 'iron condor';
+    }
+  }
+
+  return 'custom';
+};
+
+// One event per expiration, assignment or exercise, from the lot engine's realized
+// rows. Contracts it closed automatically after expiry have no transaction.
+const optionEvents = (realized) => {
+  const events = new Map();
+
+  realized.filter(r => CONTRACT_CLOSURE_SUBTYPES.includes(r.closed_by)).forEach(r => {
+    const key = `${r.sell_transaction_id}:${r.account_id}:${r.security_id}:${r.date_sold}`;
+    if (!events.has(key)) {
+      events.set(key, {
+        date: r.date_sold,
+        event: r.closed_by,
+        account_id: r.account_id,
+        security_id: r.security_id,
+        contracts: 0,
+        auto: r.auto_closed,
+        transaction_id: r.sell_transaction_id
+      });
+    }
+    events.get(key).contracts += r.quantity;
+  });
+
+  return Array.from(events.values());
+};
+
+// Stock delivered on assignment or exercise shows up as a same-day trade in the underlying
+const relatedStockTransaction = (event, contract, transactions, securitiesById) => {
+  const shares = event.contracts * OPTION_CONTRACT_MULTIPLIER;
+  const match = transactions.find(t => t.account_id === event.account_id &&
+    t.date === event.date &&
+    !isOptionSecurity(securitiesById.get(t.security_id)) &&
+    securitiesById.get(t.security_id)?.ticker_symbol?.toUpperCase() === contract.underlying_security_ticker?.toUpperCase() &&
+    Math.abs(Math.abs(Number(t.quantity) || 0) - shares) < QUANTITY_EPSILON);
+  return match?.investment_transaction_id || null;
+};
+
+// Get Options Positions, Spreads and Strategy P&L (Secure)
+app.get('/api/portfolio/options', authenticateToken, async (req, res) => {
+  try {
+    logRequest(req, 'GET_PORTFOLIO_OPTIONS');
+
+    const today = toDateString(new Date());
+    const { transactions, securities } = await loadLedger(req.user.id);
+    const live = await fetchLiveHoldings(req.user.id);
+    await auditHoldingsPull(req, live, 'options');
+
+    const securitiesById = new Map(securities.map(sec => [sec.security_id, sec]));
+    live.securities.forEach(sec => securitiesById.set(sec.security_id, sec));
+
+    // Option lots come from the same engine as stock gains: signed open lots, and
+    // realized rows for closing trades, expirations, assignments and exercises
+    const optionTransactions = transactions.filter(t => isOptionSecurity(securitiesById.get(t.security_id)));
+    const { realized, openLots } = computeLots(optionTransactions, securitiesById, { asOf: today });
+    // A buy to cover with no short on record has no P&L to attribute
+    const closes = realized.filter(r => !r.basis_missing);
+    const events = optionEvents(realized);
+
+    // Price open legs from the matching live holding, per contract. Short legs in
+    // manual accounts have no holding, so the last traded price stands in.
+    const holdingsByKey = new Map(live.holdings.map(h => [`${h.account_id}:${h.security_id}`, h]));
+    const lastTradePrice = (accountId, securityId) => {
+      const trades = transactions.filter(t => t.account_id === accountId && t.security_id === securityId && Number(t.price) > 0);
+      return trades.length > 0 ? Number(trades.reduce((latest, t) => (t.date >= latest.date ? t : latest)).price) : null;
+    };
+    const perContractValue = (accountId, securityId) => {
+      const holding = holdingsByKey.get(`${accountId}:${securityId}`);
+      if (holding && Number(holding.quantity)) {
+        const value = holding.institution_value ?? (holding.institution_price || 0) * Number(holding.quantity) * OPTION_CONTRACT_MULTIPLIER;
+        return Math.abs(value / Number(holding.quantity));
+      }
+      const price = lastTradePrice(accountId, securityId);
+      return price === null ? null : price * OPTION_CONTRACT_MULTIPLIER;
+    };
+
+    // Covered calls: open spreads check today's holdings, closed ones the ledger on the day opened
+    const isUnderlying = (securityId, ticker) => securitiesById.get(securityId)?.ticker_symbol?.toUpperCase() === ticker?.toUpperCase();
+    const sharesHeld = (accountId, ticker, asOf) => {
+      if (!asOf) {
+        return live.holdings
+          .filter(h => h.account_id === accountId && isUnderlying(h.security_id, ticker))
+          .reduce((sum, h) => sum + (Number(h.quantity) || 0), 0);
+      }
+      return transactions
+        .filter(t => t.account_id === accountId && t.date <= asOf && ['buy', 'sell', 'transfer'].includes(t.type) && isUnderlying(t.security_id, ticker))
+        .reduce((sum, t) => sum + (Number(t.quantity) || 0), 0);
+    };
+
+    const describe = (securityId) => {
+      const security = securitiesById.get(securityId);
+      const contract = security.option_contract;
+      return {
+        ticker_symbol: security.ticker_symbol || null,
+        underlying: contract.underlying_security_ticker || null,
+        contract_type: contract.contract_type,
+        strike: Number(contract.strike_price),
+        expiration_date: contract.expiration_date
+      };
+    };
+
+    const openPositions = openLots.map(lot => {
+      const perContract = perContractValue(lot.account_id, lot.security_id);
+      const marketValue = perContract === null ? null : round2(perContract * lot.quantity);
+      const details = describe(lot.security_id);
+
+      return {
+        account_id: lot.account_id,
+        security_id: lot.security_id,
+        ...details,
+        days_to_expiration: details.expiration_date ? Math.round(daysBetween(today, details.expiration_date)) : null,
+        side: lot.quantity > 0 ? 'long' : 'short',
+        contracts: Math.abs(lot.quantity),
+        opened_date: lot.date_acquired,
+        open_transaction_id: lot.buy_transaction_id,
+        cost_basis: lot.cost_basis,
+        market_value: marketValue,
+        unrealized_pnl: marketValue === null ? null : round2(marketValue - lot.cost_basis)
+      };
+    });
+
+    // Spreads: every leg (open or closed) grouped by account, underlying and expiry
+    const groups = new Map();
+    const groupFor = (accountId, details) => {
+      const key = `${accountId}|${details.underlying}|${details.expiration_date}`;
+      if (!groups.has(key)) {
+        groups.set(key, {
+          account_id: accountId,
+          underlying: details.underlying,
+          expiration_date: details.expiration_date,
+          legs: new Map(),
+          opened_date: null,
+          open_legs: [],
+          realized_pnl: 0,
+          unrealized_pnl: 0,
+          unpriced_legs: 0
+        });
+      }
+      return groups.get(key);
+    };
+    const noteLeg = (group, securityId, details, side, contracts, openedDate) => {
+      if (!group.opened_date || openedDate < group.opened_date) group.opened_date = openedDate;
+      const legKey = `${securityId}:${side}`;
+      if (!group.legs.has(legKey)) group.legs.set(legKey, { security_id: securityId, contract_type: details.contract_type, strike: details.strike, side, contracts: 0 });
+      group.legs.get(legKey).contracts += contracts;
+    };
+
+    openPositions.forEach(position => {
+      const group = groupFor(position.account_id, position);
+      noteLeg(group, position.security_id, position, position.side, position.contracts, position.opened_date);
+      group.open_legs.push(position);
+      if (position.unrealized_pnl === null) group.unpriced_legs++;
+      else group.unrealized_pnl += position.unrealized_pnl;
+    });
+
+    closes.forEach(close => {
+      const details = describe(close.security_id);
+      const group = groupFor(close.account_id, details);
+      noteLeg(group, close.security_id, details, close.side, close.quantity, close.date_acquired);
+      group.realized_pnl += close.gain;
+    });
+
+    const spreads = Array.from(groups.values()).map(group => {
+      const legs = Array.from(group.legs.values());
+      const status = group.open_legs.length > 0 ? 'open' : 'closed';
+      return {
+        account_id: group.account_id,
+        underlying: group.underlying,
+        expiration_date: group.expiration_date,
+        strategy: classifyOptionStrategy(legs, sharesHeld(group.account_id, group.underlying, status === 'open' ? null : group.opened_date)),
+        status,
+        opened_date: group.opened_date,
+        legs,
+        open_legs: group.open_legs,
+        realized_pnl: round2(group.realized_pnl),
+        unrealized_pnl: status === 'open' ? round2(group.unrealized_pnl) : null,
+        unpriced_legs: group.unpriced_legs
+      };
+    }).sort((a, b) => (a.expiration_date < b.expiration_date ? 1 : a.expiration_date > b.expiration_date ? -1 : 0));
+
+    const byStrategy = new Map();
+    spreads.forEach(spread => {
+      if (!byStrategy.has(spread.strategy)) {
+        byStrategy.set(spread.strategy, { strategy: spread.strategy, positions: 0, open_positions: 0, wins: 0, losses: 0, realized_pnl: 0, unrealized_pnl: 0 });
+      }
+      const row = byStrategy.get(spread.strategy);
+      row.positions++;
+      row.realized_pnl += spread.realized_pnl;
+      if (spread.status === 'open') {
+        row.open_positions++;
+        row.unrealized_pnl += spread.unrealized_pnl || 0;
+      } else if (spread.realized_pnl > 0) {
+        row.wins++;
+      } else {
+        row.losses++;
+      }
+    });
+
+    const strategyPnl = Array.from(byStrategy.values()).map(row => ({
+      ...row,
+      realized_pnl: round2(row.realized_pnl),
+      unrealized_pnl: round2(row.unrealized_pnl),
+      total_pnl: round2(row.realized_pnl + row.unrealized_pnl),
+      win_rate_percent: row.wins + row.losses > 0 ? Math.round((row.wins / (row.wins + row.losses)) * 10000) / 100 : null
+    })).sort((a, b) => b.total_pnl - a.total_pnl);
+
+    res.json({
+      open_positions: openPositions,
+      spreads,
+      events: events.map(event => {
+        const contract = securitiesById.get(event.security_id).option_contract;
+        return {
+          ...event,
+          ...describe(event.security_id),
+          related_stock_transaction_id: ['assignment', 'exercise'].includes(event.event) ?
+            relatedStockTransaction(event, contract, transactions, securitiesById) :
+            null
+        };
+      }).sort((a, b) => (a.date < b.date ? 1 : a.date > b.date ? -1 : 0)),
+      strategy_pnl: strategyPnl,
+      summary: {
+        open_contracts: openPositions.reduce((sum, p) => sum + p.contracts, 0),
+        realized_pnl: round2(closes.reduce((sum, c) => sum + c.gain, 0)),
+        unrealized_pnl: round2(openPositions.reduce((sum, p) => sum + (p.unrealized_pnl || 0), 0)),
+        auto_expired: events.filter(e => e.auto).length,
+        missing_basis_closes: realized.length - closes.length
+      },
+      failed_items: live.failedItems
+    });
+
+  } catch (error) {
+    console.error('❌ Options tracking failed:', error.message);
+    res.status(500).json({
+      error: 'OPTIONS_TRACKING_FAILED',
+      message: 'Failed to build options positions',
+      display_message: 'Unable to load your options positions. Please try again.'
+    });
+  }
+});
+
+// =======================
+// INCOME TRACKING
+// =======================
+
+// Cash subtypes that count as investment income, by reporting category
+const INCOME_SUBTYPES = {
+  dividend: 'dividend',
+  'qualified dividend': 'dividend',
+  'non-qualified dividend': 'dividend',
+  interest: 'interest',
+  'interest receivable': 'interest',
+  'long-term capital gain': 'capital_gain',
+  'short-term capital gain': 'capital_gain',
+  distribution: 'distribution'
+};
+
+// Only these categories recur on a schedule; capital gain and return-of-capital
+// distributions are one-offs and would inflate the projection
+const RECURRING_INCOME_CATEGORIES = ['dividend', 'interest'];
+
+// Payment history older than this doesn't inform the projection
+const INCOME_LOOKBACK_DAYS = 400;
+
+const PAYMENT_FREQUENCIES = [
+  { frequency: 'monthly', per_year: 12, days: 30 },
+  { frequency: 'quarterly', per_year: 4, days: 91 },
+  { frequency: 'semiannual', per_year: 2, days: 182 },
+  { frequency: 'annual', per_year: 1, days: 365 }
+];
+
+// Pick the schedule closest to the median gap between payment dates; one date reads as annual.
+// Rows paid on the same day count once so their zero-day gaps don't drag the median down.
+const detectPaymentFrequency = (dates) => {
+  const sorted = Array.from(new Set(dates)).sort();
+  if (sorted.length < 2) return PAYMENT_FREQUENCIES[PAYMENT_FREQUENCIES.length - 1];
+
+  const gaps = sorted.slice(1).map((date, i) => daysBetween(sorted[i], date)).sort((a, b) => a - b);
+  const median = gaps[Math.floor(gaps.length / 2)];
+
+  return PAYMENT_FREQUENCIES.reduce((best, f) => (Math.abs(f.days - median) < Math.abs(best.days - median) ? f : best));
+};
+
+const incomeAmount = (t) => -(Number(t.amount) || 0);
+
+const addToGroup = (groups, key, fields, amount, date) => {
+  if (!groups.has(key)) groups.set(key, { ...fields, total: 0, payments: 0, last_payment_date: null });
+  const group = groups.get(key);
+  group.total += amount;
+  group.payments++;
+  if (!group.last_payment_date || date > group.last_payment_date) group.last_payment_date = date;
+};
+
+const finishGroups = (groups) => Array.from(groups.values())
+  .map(group => ({ ...group, total: round2(group.total) }))
+  .sort((a, b) => b.total - a.total);
+
+// Shares held in an account on a date, replayed from the ledger (newest-first input)
+const quantityHeldOn = (transactions, accountId, securityId, date) => {
+  return transactions
+    .filter(t => t.account_id === accountId && t.security_id === securityId && t.date < date && ['buy', 'sell', 'transfer'].includes(t.type))
+    .reduce((sum, t) => sum + (Number(t.quantity) || 0), 0);
+};
+
+// Forward 12-month estimate per holding: latest regular per-share payment x payments per
+// year x shares held now. Each expected payment date lands on the calendar.
+const projectIncome = (holdings, transactions, securitiesById, { today, calendarEnd }) => {
+  const lookbackStart = addDays(today, -INCOME_LOOKBACK_DAYS);
+  const projectionEnd = addDays(today, 365);
+  const projections = [];
+  const calendar = [];
+
+  holdings.forEach(holding => {
+    const security = securitiesById.get(holding.security_id);
+    if (!security || isCashSecurity(security) || !(Number(holding.quantity) > 0)) return;
+
+    const payments = transactions.filter(t => t.type === 'cash' &&
+      RECURRING_INCOME_CATEGORIES.includes(INCOME_SUBTYPES[t.subtype]) &&
+      t.account_id === holding.account_id &&
+      t.security_id === holding.security_id &&
+      t.date >= lookbackStart);
+    if (payments.length === 0) return;
+
+    // A payment can arrive as several rows on one day (e.g. qualified and non-qualified parts)
+    const latest = payments[0];
+    const latestAmount = payments.filter(p => p.date === latest.date).reduce((sum, p) => sum + incomeAmount(p), 0);
+    const heldThen = quantityHeldOn(transactions, latest.account_id, latest.security_id, latest.date);
+    // History that starts mid-position can't tell us the share count; assume today's
+    const sharesThen = heldThen > QUANTITY_EPSILON ? heldThen : Number(holding.quantity);
+    const perShare = latestAmount / sharesThen;
+    const schedule = detectPaymentFrequency(payments.map(p => p.date));
+    const perPayment = perShare * Number(holding.quantity);
+
+    projections.push({
+      account_id: holding.account_id,
+      security_id: holding.security_id,
+      ticker_symbol: security.ticker_symbol || null,
+      security_name: security.name || null,
+      quantity: Number(holding.quantity),
+      frequency: schedule.frequency,
+      last_payment_date: latest.date,
+      last_payment_per_share: Math.round(perShare * 10000) / 10000,
+      projected_annual_income: round2(perPayment * schedule.per_year),
+      yield_on_value_percent: holding.institution_value ?
+        Math.round((perPayment * schedule.per_year / holding.institution_value) * 10000) / 100 :
+        null
+    });
+
+    for (let next = addDays(latest.date, schedule.days); next <= projectionEnd; next = addDays(next, schedule.days)) {
+      if (next <= today) continue;
+      if (next > calendarEnd) break;
+      calendar.push({
+        expected_date: next,
+        account_id: holding.account_id,
+        security_id: holding.security_id,
+        ticker_symbol: security.ticker_symbol || null,
+        security_name: security.name || null,
+        estimated_amount: round2(perPayment),
+        frequency: schedule.frequency
+      });
+    }
+  });
+
+  calendar.sort((a, b) => (a.expected_date < b.expected_date ? -1 : a.expected_date > b.expected_date ? 1 : 0));
+
+  return {
+    projections: projections.sort((a, b) => b.projected_annual_income - a.projected_annual_income),
+    calendar
+  };
+};
+
+// Get Dividend and Interest Income (Secure)
+app.get('/api/portfolio/income', [
+  query('start_date').optional().matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('start_date must be in YYYY-MM-DD format'),
+  query('end_date').optional().matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('end_date must be in YYYY-MM-DD format'),
+  query('calendar_days').optional().isInt({ min: 1, max: 365 }).withMessage('calendar_days must be between 1 and 365').toInt(),
+], validateErrors, authenticateToken, async (req, res) => {
+  try {
+    logRequest(req, 'GET_PORTFOLIO_INCOME');
+
+    const today = toDateString(new Date());
+    const endDate = req.query.end_date || today;
+    const startDate = req.query.start_date || addDays(endDate, -365);
+    const calendarEnd = addDays(today, Number(req.query.calendar_days) || 90);
+
+    // Projections look at recent history regardless of the reporting range
+    const { transactions, securities } = await loadLedger(req.user.id);
+    const live = await fetchLiveHoldings(req.user.id);
+    await auditHoldingsPull(req, live, 'income');
+
+    const securitiesById = new Map(securities.map(sec => [sec.security_id, sec]));
+    live.securities.forEach(sec => securitiesById.set(sec.security_id, sec));
+    const accountsById = new Map(live.accounts.map(account => [account.account_id, account]));
+
+    const received = transactions.filter(t => t.type === 'cash' &&
+      INCOME_SUBTYPES[t.subtype] &&
+      t.date >= startDate &&
+      t.date <= endDate);
+
+    const byMonth = new Map();
+    const bySecurity = new Map();
+    const byAccount = new Map();
+    const byCategory = new Map();
+
+    received.forEach(t => {
+      const amount = incomeAmount(t);
+      const security = securitiesById.get(t.security_id);
+      const account = accountsById.get(t.account_id);
+
+      addToGroup(byMonth, t.date.slice(0, 7), { month: t.date.slice(0, 7) }, amount, t.date);
+      addToGroup(byCategory, INCOME_SUBTYPES[t.subtype], { category: INCOME_SUBTYPES[t.subtype] }, amount, t.date);
+      addToGroup(byAccount, t.account_id, {
+        account_id: t.account_id,
+        account_name: account?.name || null,
+        institution_name: account?.institution_name || null
+      }, amount, t.date);
+      addToGroup(bySecurity, t.security_id || 'cash', {
+        security_id: t.security_id || null,
+        ticker_symbol: security?.ticker_symbol || null,
+        security_name: security?.name || (t.security_id ? null : 'Cash')
+      }, amount, t.date);
+    });
+
+    const inRange = (t) => t.date >= startDate && t.date <= endDate;
+    const reinvested = transactions
+      .filter(t => t.subtype === 'dividend reinvestment' && inRange(t))
+      .reduce((sum, t) => sum + Math.abs(Number(t.amount) || 0), 0);
+    const taxWithheld = transactions
+      .filter(t => t.subtype === 'tax withheld' && inRange(t))
+      .reduce((sum, t) => sum + (Number(t.amount) || 0), 0);
+
+    const { projections, calendar } = projectIncome(live.holdings, transactions, securitiesById, { today, calendarEnd });
+
+    res.json({
+      date_range: { start_date: startDate, end_date: endDate },
+      received: {
+        total: round2(received.reduce((sum, t) => sum + incomeAmount(t), 0)),
+        reinvested: round2(reinvested),
+        tax_withheld: round2(taxWithheld),
+        by_month: finishGroups(byMonth).sort((a, b) => (a.month < b.month ? -1 : 1)),
+        by_category: finishGroups(byCategory),
+        by_security: finishGroups(bySecurity),
+        by_account: finishGroups(byAccount)
+      },
+      projection: {
+        // Estimates from each holding's own payment history; no announced-dividend data is used
+        estimated: true,
+        next_12_months: round2(projections.reduce((sum, p) => sum + p.projected_annual_income, 0)),
+        holdings: projections
+      },
+      calendar: {
+        through: calendarEnd,
+        payments: calendar
+      },
+      failed_items: live.failedItems
+    });
+
+  } catch (error) {
+    console.error('❌ Income calculation failed:', error.message);
+    res.status(500).json({
+      error: 'INCOME_CALCULATION_FAILED',
+      message: 'Failed to calculate income',
+      display_message: 'Unable to load your dividend and interest income. Please try again.'
+    });
+  }
+});
+
+// =======================
+// TAX REPORTS (FORM 8949 / SCHEDULE D)
+// =======================
+
+const TAX_REPORT_FORMATS = ['json', 'csv', 'pdf'];
+
+const formatTaxDate = (dateString) => {
+  if (!dateString) return 'VARIOUS';
+  const [year, month, day] = dateString.split('-');
+  return `${month}/${day}/${year}`;
+};
+
+const formatQuantity = (quantity) => String(Math.round(quantity * 10000) / 10000);
+
+// Text that starts like a formula is prefixed with ' so spreadsheets show it
+// instead of evaluating it. Numbers pass through, negative amounts included.
+const toCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (columns, rows) => {
+  return [
+    columns.map(c => toCsvValue(c.header)).join(','),
+    ...rows.map(row => columns.map(c => toCsvValue(row[c.key])).join(','))
+  ].join('\n') + '\n';
+};
+
+// Build Form 8949 rows for disposals in `year`, with wash sale adjustments (code W).
+// Replacement lots already carry the disallowed loss in their basis. Sales with no
+// matching purchase can't go on the form and are listed under missing_basis instead.
+const buildTaxReport = (realized, washSales, securitiesById, year) => {
+  const washByPiece = disallowedLossByPiece(washSales);
+  const warnings = [];
+
+  const rows = realized
+    .filter(row => row.date_sold.startsWith(`${year}-`))
+    .map(row => {
+      const security = securitiesById.get(row.security_id);
+      const adjustment = washByPiece.get(`${row.sell_transaction_id}:${row.buy_transaction_id}`) || 0;
+
+      return {
+        term: row.term || 'short',
+        description: `${formatQuantity(row.quantity)} sh ${security?.ticker_symbol || security?.name || row.security_id}`,
+        date_acquired: formatTaxDate(row.date_acquired),
+        date_sold: formatTaxDate(row.date_sold),
+        proceeds: row.proceeds,
+        cost_basis: row.cost_basis,
+        adjustment_codes: adjustment ? 'W' : '',
+        adjustment_amount: adjustment,
+        gain_loss: row.gain === null ? null : round2(row.gain + adjustment),
+        account_id: row.account_id,
+        sell_transaction_id: row.sell_transaction_id,
+        basis_estimated: !!row.basis_estimated,
+        basis_missing: !!row.basis_missing
+      };
+    })
+    .sort((a, b) => (a.date_sold < b.date_sold ? -1 : a.date_sold > b.date_sold ? 1 : a.description.localeCompare(b.description)));
+
+  const formRows = rows.filter(r => !r.basis_missing);
+  const missingRows = rows.filter(r => r.basis_missing).map(r => ({ ...r, term: 'missing basis' }));
+
+  if (missingRows.length > 0) {
+    warnings.push(`${missingRows.length} sale(s) have no matching purchase in the linked history and are listed separately; enter their cost basis from your broker's 1099-B.`);
+  }
+  const estimated = formRows.filter(r => r.basis_estimated).length;
+  if (estimated > 0) {
+    warnings.push(`${estimated} row(s) use cost basis from transferred-in shares, which may not match your broker's 1099-B.`);
+  }
+
+  const totalsFor = (termRows) => {
+    const totals = { proceeds: 0, cost_basis: 0, adjustments: 0, gain_loss: 0 };
+    termRows.forEach(r => {
+      totals.proceeds += r.proceeds || 0;
+      totals.cost_basis += r.cost_basis || 0;
+      totals.adjustments += r.adjustment_amount || 0;
+      totals.gain_loss += r.gain_loss || 0;
+    });
+    Object.keys(totals).forEach(key => { totals[key] = round2(totals[key]); });
+    return totals;
+  };
+
+  const shortRows = formRows.filter(r => r.term === 'short');
+  const longRows = formRows.filter(r => r.term === 'long');
+  const shortTotals = totalsFor(shortRows);
+  const longTotals = totalsFor(longRows);
+
+  return {
+    short_term: { rows: shortRows, totals: shortTotals },
+    long_term: { rows: longRows, totals: longTotals },
+    missing_basis: { rows: missingRows },
+    schedule_d: {
+      part_i_net_short_term: shortTotals.gain_loss,
+      part_ii_net_long_term: longTotals.gain_loss,
+      net_gain_loss: round2(shortTotals.gain_loss + longTotals.gain_loss)
+    },
+    warnings
+  };
+};
+
+const TAX_CSV_COLUMNS = [
+  { key: 'term', header: 'Term' },
+  { key: 'description', header: '(a) Description of property' },
+  { key: 'date_acquired', header: '(b) Date acquired' },
+  { key: 'date_sold', header: '(c) Date sold or disposed of' },
+  { key: 'proceeds', header: '(d) Proceeds' },
+  { key: 'cost_basis', header: '(e) Cost or other basis' },
+  { key: 'adjustment_codes', header: '(f) Code(s)' },
+  { key: 'adjustment_amount', header: '(g) Amount of adjustment' },
+  { key: 'gain_loss', header: '(h) Gain or (loss)' }
+];
+
+const writeTaxReportPdf = (doc, report, { year, method, userName }) => {
+  const columns = [
+    { key: 'description', label: '(a) Description', width: 170 },
+    { key: 'date_acquired', label: '(b) Acquired', width: 70 },
+    { key: 'date_sold', label: '(c) Sold', width: 70 },
+    { key: 'proceeds', label: '(d) Proceeds', width: 80, money: true },
+    { key: 'cost_basis', label: '(e) Basis', width: 80, money: true },
+    { key: 'adjustment_codes', label: '(f) Code', width: 45 },
+    { key: 'adjustment_amount', label: '(g) Adj.', width: 70, money: true },
+    { key: 'gain_loss', label: '(h) Gain/(loss)', width: 85, money: true }
+  ];
+  const left = doc.page.margins.left;
+  const bottom = doc.page.height - doc.page.margins.bottom;
+  const money = (value) => (value === null || value === undefined ? '' : value.toFixed(2));
+
+  const drawRow = (values, { bold = false } = {}) => {
+    if (doc.y + 14 > bottom) doc.addPage();
+    const y = doc.y;
+    let x = left;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+    columns.forEach(col => {
+      doc.text(values[col.key] ?? '', x, y, { width: col.width - 4, align: col.money ? 'right' : 'left', lineBreak: false, ellipsis: true });
+      x += col.width;
+    });
+    doc.x = left;
+    doc.y = y + 14;
+  };
+
+  const drawPart = (title, part) => {
+    doc.moveDown().font('Helvetica-Bold').fontSize(11).text(title, left);
+    doc.moveDown(0.3);
+    drawRow(Object.fromEntries(columns.map(c => [c.key, c.label])), { bold: true });
+    part.rows.forEach(row => drawRow(Object.fromEntries(columns.map(c => [c.key, c.money ? money(row[c.key]) : row[c.key]]))));
+    drawRow({
+      description: 'Totals',
+      proceeds: money(part.totals.proceeds),
+      cost_basis: money(part.totals.cost_basis),
+      adjustment_amount: money(part.totals.adjustments),
+      gain_loss: money(part.totals.gain_loss)
+    }, { bold: true });
+  };
+
+  doc.font('Helvetica-Bold').fontSize(16).text(`Form 8949 / Schedule D Worksheet - Tax Year ${year}`);
+  doc.font('Helvetica').fontSize(9)
+    .text(`Prepared for ${userName} by TradeLog on ${toDateString(new Date())} using ${method} cost basis.`)
+    .text('For reference only. Reconcile against the Form 1099-B issued by each broker before filing.');
+
+  drawPart('Part I - Short-Term (held one year or less)', report.short_term);
+  drawPart('Part II - Long-Term (held more than one year)', report.long_term);
+
+  if (report.missing_basis.rows.length > 0) {
+    doc.moveDown().font('Helvetica-Bold').fontSize(11).text('Sales Missing Cost Basis (not included above)', left);
+    doc.moveDown(0.3);
+    drawRow(Object.fromEntries(columns.map(c => [c.key, c.label])), { bold: true });
+    report.missing_basis.rows.forEach(row => drawRow(Object.fromEntries(columns.map(c => [c.key, c.money ? money(row[c.key]) : row[c.key]]))));
+  }
+
+  doc.moveDown().font('Helvetica-Bold').fontSize(11).text('Schedule D Summary', left);
+  doc.font('Helvetica').fontSize(9)
+    .text(`Net short-term gain or (loss): ${money(report.schedule_d.part_i_net_short_term)}`)
+    .text(`Net long-term gain or (loss): ${money(report.schedule_d.part_ii_net_long_term)}`)
+    .text(`Net gain or (loss): ${money(report.schedule_d.net_gain_loss)}`);
+
+  if (report.warnings.length > 0) {
+    doc.moveDown().font('Helvetica-Bold').text('Warnings');
+    doc.font('Helvetica');
+    report.warnings.forEach(warning => doc.text(`- ${warning}`));
+  }
+};
+
+// Export Form 8949 / Schedule D Report (Secure)
+app.get('/api/reports/tax', [
+  query('year').isInt({ min: 2000, max: 2100 }).withMessage('year must be a four-digit year').toInt(),
+  query('format').optional().isIn(TAX_REPORT_FORMATS).withMessage('format must be one of csv, pdf, json'),
+  query('method').optional().customSanitizer(value => String(value).toUpperCase()).isIn(COST_BASIS_METHODS).withMessage('method must be one of FIFO, LIFO, HIFO, AVERAGE'),
+], validateErrors, authenticateToken, async (req, res) => {
+  try {
+    logRequest(req, 'EXPORT_TAX_REPORT');
+
+    const year = Number(req.query.year);
+    const format = req.query.format || 'json';
+    const method = (req.query.method || 'FIFO').toUpperCase();
+
+    const { transactions, securities } = await loadLedger(req.user.id);
+    const securitiesById = new Map(securities.map(sec => [sec.security_id, sec]));
+
+    const { realized, washSales } = computeLotsWithWashSales(transactions, securitiesById, { method });
+    const report = buildTaxReport(realized, washSales, securitiesById, year);
+
+    await recordAudit(req, 'TAX_REPORT_EXPORT', { metadata: { year, format, method } });
+
+    const filename = `tradelog-form-8949-${year}`;
+
+    if (format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${filename}.csv"`);
+      return res.send(toCsv(TAX_CSV_COLUMNS, [...report.short_term.rows, ...report.long_term.rows, ...report.missing_basis.rows]));
+    }
+
+    if (format === 'pdf') {
+      res.set('Content-Type', 'application/pdf');
+      res.set('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+
+      const doc = new PDFDocument({ size: 'LETTER', layout: 'landscape', margin: 40 });
+      doc.pipe(res);
+      writeTaxReportPdf(doc, report, { year, method, userName: req.user.name || req.user.email });
+      doc.end();
+      return;
+    }
+
+    res.json({
+      year,
+      method,
+      ...report
+    });
+
+  } catch (error) {
+    console.error('❌ Tax report failed:', error.message);
     res.status(500).json({
-      error: 'TOKEN_EXCHANGE_FAILED',
-      message: 'Failed to exchange token',
-      display_message: 'Failed to complete account connection. Please try again.'
+      error: 'TAX_REPORT_FAILED',
+      message: 'Failed to build tax report',
+      display_message: 'Unable to build your tax report. Please try again.'
     });
   }
 });
 
-// Get Investment Holdings (Secure)
-app.get('/api/plaid/investments/holdings', authenticateToken, async (req, res) => {
+// =======================
+// DATA EXPORT
+// =======================
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' },
+  ofx: { contentType: 'application/x-ofx', extension: 'ofx' }
+};
+
+// Columns a user can pick, in default order
+const EXPORT_COLUMNS = {
+  transactions: [
+    'date', 'investment_transaction_id', 'account_id', 'account_name', 'institution_name',
+    'type', 'subtype', 'ticker_symbol', 'security_name', 'security_type', 'cusip',
+    'quantity', 'price', 'amount', 'fees', 'iso_currency_code', 'name'
+  ],
+  holdings: [
+    'as_of', 'account_id', 'account_name', 'institution_name', 'security_id',
+    'ticker_symbol', 'security_name', 'security_type', 'cusip', 'quantity',
+    'institution_price', 'institution_value', 'cost_basis', 'iso_currency_code'
+  ]
+};
+
+// Like fetchAllRows, but hands each page over as it arrives instead of collecting them
+const forEachPage = async (buildQuery, onPage) => {
+  const pageSize = 1000;
+
+  for (let from = 0; ; from += pageSize) {
+    const { data, error } = await buildQuery().range(from, from + pageSize - 1);
+    if (error) {
+      throw new Error(error.message);
+    }
+    if (data.length > 0) await onPage(data);
+    if (data.length < pageSize) break;
+  }
+};
+
+// Account names and institutions for every account the export can touch
+const loadExportAccounts = async (userId) => {
+  const { data: tokens, error } = await supabase
+    .from('user_plaid_tokens')
+    .select('item_id, institution_name')
+    .eq('user_id', userId)
+    .eq('is_active', true);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  const manualAccounts = await loadManualAccounts(userId);
+  const tokensByItem = new Map(tokens.map(t => [t.item_id, t]));
+  const stored = await loadAccounts(userId, tokens.map(t => t.item_id));
+
+  const accounts = new Map();
+  stored.forEach(row => accounts.set(row.data.account_id, {
+    ...row.data,
+    item_id: row.item_id,
+    institution_name: tokensByItem.get(row.item_id)?.institution_name || null
+  }));
+  manualAccounts.forEach(row => accounts.set(row.data.account_id, manualAccountView(row)));
+
+  return {
+    accounts,
+    itemIds: [...tokens.map(t => t.item_id), ...manualAccounts.map(a => a.item_id)]
+  };
+};
+
+// Flatten a transaction or holding plus its account and security into export columns
+const exportRow = (record, account, security) => ({
+  ...record,
+  account_name: account?.name || null,
+  institution_name: account?.institution_name || null,
+  ticker_symbol: security?.ticker_symbol || null,
+  security_name: security?.name || null,
+  security_type: security?.type || null,
+  cusip: security?.cusip || null
+});
+
+const pickColumns = (row, columns) => Object.fromEntries(columns.map(column => [column, row[column] ?? null]));
+
+const escapeOfx = (value) => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+// Render nested [name, children-or-value] pairs as OFX 2.x XML; null leaves are dropped
+const ofxXml = (name, content) => {
+  if (content === null || content === undefined) return '';
+  if (Array.isArray(content)) return `<${name}>${content.map(([child, value]) => ofxXml(child, value)).join('')}</${name}>`;
+  return `<${name}>${escapeOfx(content)}</${name}>`;
+};
+
+const toOfxDate = (dateString) => (dateString ? dateString.replace(/-/g, '') : null);
+
+const ofxSecId = (security) => [
+  ['UNIQUEID', security.cusip || security.security_id],
+  ['UNIQUEIDTYPE', security.cusip ? 'CUSIP' : 'OTHER']
+];
+
+const OFX_INCOME_TYPES = {
+  dividend: 'DIV',
+  'qualified dividend': 'DIV',
+  'non-qualified dividend': 'DIV',
+  interest: 'INTEREST',
+  'long-term capital gain': 'CGLONG',
+  'short-term capital gain': 'CGSHORT'
+};
+
+// Map a Plaid-shaped transaction to its OFX investment transaction aggregate
+const ofxTransaction = (t, security) => {
+  const isOption = !!security?.option_contract;
+  const invtran = ['INVTRAN', [['FITID', t.investment_transaction_id], ['DTTRADE', toOfxDate(t.date)], ['MEMO', t.name]]];
+  const secid = security ? ['SECID', ofxSecId(security)] : null;
+  const total = -(Number(t.amount) || 0);
+
+  if (t.type === 'buy' && t.subtype === 'dividend reinvestment' && security) {
+    return ['REINVEST', [invtran, secid, ['INCOMETYPE', 'DIV'], ['TOTAL', total], ['SUBACCTSEC', 'CASH'], ['UNITS', t.quantity], ['UNITPRICE', t.price]]];
+  }
+
+  if ((t.type === 'buy' || t.type === 'sell') && security) {
+    const trade = [invtran, secid, ['UNITS', t.quantity], ['UNITPRICE', t.price], ['COMMISSION', t.fees || 0], ['TOTAL', total], ['SUBACCTSEC', 'CASH'], ['SUBACCTFUND', 'CASH']];
+
+    if (t.type === 'buy') {
+      return isOption ?
+        ['BUYOPT', [['INVBUY', trade], ['OPTBUYTYPE', t.subtype === 'buy to cover' ? 'BUYTOCLOSE' : 'BUYTOOPEN'], ['SHPERCTRCT', OPTION_CONTRACT_MULTIPLIER]]] :
+        ['BUYSTOCK', [['INVBUY', trade], ['BUYTYPE', t.subtype === 'buy to cover' ? 'BUYTOCOVER' : 'BUY']]];
+    }
+    return isOption ?
+      ['SELLOPT', [['INVSELL', trade], ['OPTSELLTYPE', t.subtype === 'sell short' ? 'SELLTOOPEN' : 'SELLTOCLOSE'], ['SHPERCTRCT', OPTION_CONTRACT_MULTIPLIER], ['SUBACCTSEC', 'CASH']]] :
+      ['SELLSTOCK', [['INVSELL', trade], ['SELLTYPE', t.subtype === 'sell short' ? 'SELLSHORT' : 'SELL']]];
+  }
+
+  if (t.type === 'cash' && security && (OFX_INCOME_TYPES[t.subtype] || t.subtype === 'distribution')) {
+    return ['INCOME', [invtran, secid, ['INCOMETYPE', OFX_INCOME_TYPES[t.subtype] || 'MISC'], ['TOTAL', total], ['SUBACCTSEC', 'CASH'], ['SUBACCTFUND', 'CASH']]];
+  }
+
+  if (t.type === 'transfer' && security) {
+    if (isOption && ['expire', 'assignment', 'exercise'].includes(t.subtype)) {
+      const action = { expire: 'EXPIRE', assignment: 'ASSIGN', exercise: 'EXERCISE' }[t.subtype];
+      return ['CLOSUREOPT', [invtran, secid, ['OPTACTION', action], ['UNITS', t.quantity], ['SHPERCTRCT', OPTION_CONTRACT_MULTIPLIER], ['SUBACCTSEC', 'CASH']]];
+    }
+    return ['TRANSFER', [invtran, secid, ['SUBACCTSEC', 'CASH'], ['UNITS', Math.abs(Number(t.quantity) || 0)], ['TNFRACTION', Number(t.quantity) < 0 ? 'OUT' : 'IN']]];
+  }
+
+  // Everything else is plain cash movement
+  return ['INVBANKTRAN', [
+    ['STMTTRN', [
+      ['TRNTYPE', t.type === 'fee' ? 'FEE' : total >= 0 ? 'CREDIT' : 'DEBIT'],
+      ['DTPOSTED', toOfxDate(t.date)],
+      ['TRNAMT', total],
+      ['FITID', t.investment_transaction_id],
+      ['NAME', (t.name || t.subtype || 'Cash').slice(0, 32)]
+    ]],
+    ['SUBACCTFUND', 'CASH']
+  ]];
+};
+
+const ofxPosition = (holding, security) => {
+  const kind = security.option_contract ? 'POSOPT' : security.type === 'mutual fund' ? 'POSMF' : 'POSSTOCK';
+  return [kind, [['INVPOS', [
+    ['SECID', ofxSecId(security)],
+    ['HELDINACCT', 'CASH'],
+    ['POSTYPE', Number(holding.quantity) < 0 ? 'SHORT' : 'LONG'],
+    ['UNITS', Math.abs(Number(holding.quantity) || 0)],
+    ['UNITPRICE', holding.institution_price ?? 0],
+    ['MKTVAL', holding.institution_value ?? 0],
+    ['DTPRICEASOF', toOfxDate(holding.institution_price_as_of || holding.as_of)]
+  ]]]];
+};
+
+const ofxSecurityInfo = (security) => {
+  const secinfo = ['SECINFO', [['SECID', ofxSecId(security)], ['SECNAME', (security.name || security.ticker_symbol || security.security_id).slice(0, 120)], ['TICKER', security.ticker_symbol]]];
+  const option = security.option_contract;
+
+  if (option) {
+    return ['OPTINFO', [
+      secinfo,
+      ['OPTTYPE', option.contract_type === 'put' ? 'PUT' : 'CALL'],
+      ['STRIKEPRICE', option.strike_price],
+      ['DTEXPIRE', toOfxDate(option.expiration_date)],
+      ['SHPERCTRCT', OPTION_CONTRACT_MULTIPLIER]
+    ]];
+  }
+  return [security.type === 'mutual fund' ? 'MFINFO' : 'STOCKINFO', [secinfo]];
+};
+
+// One INVSTMTRS per account, then the shared security list
+const writeOfxExport = (res, { accounts, transactionsByAccount, holdingsByAccount, securitiesById, startDate, endDate }) => {
+  const now = toOfxDate(toDateString(new Date()));
+  const accountIds = Array.from(new Set([...transactionsByAccount.keys(), ...holdingsByAccount.keys()])).sort();
+
+  res.write('<?xml version="1.0" encoding="UTF-8" standalone="no"?>\n');
+  res.write('<?OFX OFXHEADER="200" VERSION="220" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>\n');
+  res.write('<OFX>');
+  res.write(ofxXml('SIGNONMSGSRSV1', [['SONRS', [
+    ['STATUS', [['CODE', 0], ['SEVERITY', 'INFO']]],
+    ['DTSERVER', now],
+    ['LANGUAGE', 'ENG']
+  ]]]));
+  res.write('<INVSTMTMSGSRSV1>');
+
+  accountIds.forEach((accountId, index) => {
+    const account = accounts.get(accountId);
+    const transactions = transactionsByAccount.get(accountId) || [];
+    const holdings = holdingsByAccount.get(accountId) || [];
+    const dates = transactions.map(t => t.date).sort();
+
+    res.write(ofxXml('INVSTMTTRNRS', [
+      ['TRNUID', index + 1],
+      ['STATUS', [['CODE', 0], ['SEVERITY', 'INFO']]],
+      ['INVSTMTRS', [
+        ['DTASOF', now],
+        ['CURDEF', account?.balances?.iso_currency_code || 'USD'],
+        ['INVACCTFROM', [['BROKERID', 'tradelog'], ['ACCTID', accountId]]],
+        transactions.length > 0 ? ['INVTRANLIST', [
+          ['DTSTART', toOfxDate(startDate || dates[0])],
+          ['DTEND', toOfxDate(endDate || dates[dates.length - 1])],
+          ...transactions.map(t => ofxTransaction(t, securitiesById.get(t.security_id)))
+        ]] : ['INVTRANLIST', null],
+        holdings.length > 0 ? ['INVPOSLIST', holdings
+          .filter(h => securitiesById.has(h.security_id))
+          .map(h => ofxPosition(h, securitiesById.get(h.security_id)))] : ['INVPOSLIST', null]
+      ]]
+    ]));
+  });
+
+  res.write('</INVSTMTMSGSRSV1>');
+  const referenced = new Set([
+    ...Array.from(transactionsByAccount.values()).flat().map(t => t.security_id),
+    ...Array.from(holdingsByAccount.values()).flat().map(h => h.security_id)
+  ]);
+  const securities = Array.from(securitiesById.values()).filter(sec => referenced.has(sec.security_id));
+  if (securities.length > 0) {
+    res.write(ofxXml('SECLISTMSGSRSV1', [['SECLIST', securities.map(ofxSecurityInfo)]]));
+  }
+  res.write('</OFX>\n');
+};
+
+// Holdings rows: live positions, or stored snapshots when a date range is given
+const loadExportHoldings = async (userId, itemIds, { startDate, endDate }) => {
+  if (!startDate && !endDate) {
+    const live = await fetchLiveHoldings(userId);
+    const today = toDateString(new Date());
+    return {
+      holdings: live.holdings.map(h => ({ ...h, as_of: today })),
+      securities: live.securities,
+      failedItems: live.failedItems,
+      allFailed: live.tokens.length > 0 && live.failedItems.length === live.tokens.length && live.accounts.length === 0
+    };
+  }
+
+  const snapshots = await fetchAllRows(() => {
+    let snapshotQuery = supabase
+      .from('holdings_snapshots')
+      .select('account_id, snapshot_date, iso_currency_code, holdings')
+      .eq('user_id', userId)
+      .in('item_id', itemIds);
+
+    if (startDate) snapshotQuery = snapshotQuery.gte('snapshot_date', startDate);
+    if (endDate) snapshotQuery = snapshotQuery.lte('snapshot_date', endDate);
+
+    return snapshotQuery.order('snapshot_date').order('account_id');
+  });
+
+  const holdings = snapshots.flatMap(snapshot => (snapshot.holdings || []).map(h => ({
+    ...h,
+    account_id: snapshot.account_id,
+    as_of: snapshot.snapshot_date,
+    institution_price_as_of: snapshot.snapshot_date,
+    iso_currency_code: snapshot.iso_currency_code
+  })));
+  const securities = await loadSecurities(Array.from(new Set(holdings.map(h => h.security_id).filter(Boolean))));
+
+  return { holdings, securities, failedItems: [], allFailed: false };
+};
+
+// Export Holdings or Transactions (Secure)
+app.get('/api/exports/:dataset', [
+  param('dataset').isIn(Object.keys(EXPORT_COLUMNS)).withMessage('dataset must be holdings or transactions'),
+  query('format').optional().isIn(Object.keys(EXPORT_FORMATS)).withMessage('format must be one of csv, ndjson, ofx'),
+  query('start_date').optional().matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('start_date must be in YYYY-MM-DD format'),
+  query('end_date').optional().matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('end_date must be in YYYY-MM-DD format'),
+  query('columns').optional().isString(),
+], validateErrors, authenticateToken, async (req, res) => {
+  const { dataset } = req.params;
+  const format = req.query.format || 'csv';
+  const startDate = req.query.start_date || null;
+  const endDate = req.query.end_date || null;
+
   try {
-    logRequest(req, 'GET_INVESTMENTS_HOLDINGS');
+    logRequest(req, 'EXPORT_DATA');
 
-    // Get user's access tokens from database
-    const { data: tokens, error } = await supabase
-      .from('user_plaid_tokens')
-      .select('access_token, item_id')
-      .eq('user_id', req.user.id);
+    // Column choice applies to CSV and NDJSON; OFX has a fixed schema
+    const columns = req.query.columns ?
+      req.query.columns.split(',').map(c => c.trim()).filter(Boolean) :
+      EXPORT_COLUMNS[dataset];
+    const unknown = columns.filter(c => !EXPORT_COLUMNS[dataset].includes(c));
 
-    if (error || !tokens || tokens.length === 0) {
+    if (unknown.length > 0 || columns.length === 0) {
+      return res.status(400).json({
+        error: 'INVALID_COLUMNS',
+        message: `Unknown columns: ${unknown.join(', ') || '(none selected)'}`,
+        display_message: 'Please choose at least one valid column.',
+        available_columns: EXPORT_COLUMNS[dataset]
+      });
+    }
+
+    const { accounts, itemIds } = await loadExportAccounts(req.user.id);
+
+    if (itemIds.length === 0) {
       return res.status(404).json({
         error: 'NO_CONNECTED_ACCOUNTS',
         message: 'No connected accounts found',
@@ -389,139 +5499,336 @@ app.get('/api/plaid/investments/holdings', authenticateToken, async (req, res) =
       });
     }
 
-    console.log(`📊 Fetching holdings for ${tokens.length} account(s) for user: ${req.user.name}`);
+    // Holdings are gathered up front so a Plaid failure can still return JSON
+    const holdingsExport = dataset === 'holdings' ?
+      await loadExportHoldings(req.user.id, itemIds, { startDate, endDate }) :
+      null;
 
-    // Fetch holdings for each access token
-    const holdingPromises = tokens.map(async (tokenInfo, index) => {
-      try {
-        const response = await plaidClient.investmentsHoldingsGet({
-          access_token: tokenInfo.access_token
-        });
-        console.log(`✅ Holdings fetched for account ${index + 1}: ${response.data.holdings.length} holdings`);
-        return response;
-      } catch (error) {
-        console.error(`❌ Failed to fetch holdings for account ${index + 1}:`, error.response?.data || error.message);
-        // Don't throw, just return null so we can filter it out
-        return null;
+    if (holdingsExport?.allFailed) {
+      return sendAllItemsFailed(res, holdingsExport.failedItems, {
+        error: 'EXPORT_FAILED',
+        message: 'Failed to fetch holdings from all connected accounts',
+        display_message: 'Unable to export your holdings. Please try again.'
+      });
+    }
+
+    // A partial export still downloads; the items it is missing are named in a header
+    if (holdingsExport?.failedItems.length > 0) {
+      res.set('X-Failed-Items', holdingsExport.failedItems.map(f => f.item_id).join(','));
+    }
+
+    const filename = `tradelog-${dataset}-${toDateString(new Date())}.${EXPORT_FORMATS[format].extension}`;
+    res.set('Content-Type', EXPORT_FORMATS[format].contentType);
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+    await recordAudit(req, 'DATA_EXPORT', {
+      metadata: {
+        dataset,
+        format,
+        start_date: startDate,
+        end_date: endDate,
+        failed_items: (holdingsExport?.failedItems || []).map(f => f.item_id)
       }
     });
 
-    const responses = await Promise.all(holdingPromises);
-    const validResponses = responses.filter(r => r !== null);
+    const securitiesById = new Map();
+    const writeRows = (rows) => {
+      if (format === 'csv') {
+        res.write(rows.map(row => columns.map(c => toCsvValue(row[c])).join(',')).join('\n') + '\n');
+      } else {
+        res.write(rows.map(row => JSON.stringify(pickColumns(row, columns))).join('\n') + '\n');
+      }
+    };
 
-    if (validResponses.length === 0) {
-      return res.status(500).json({
-        error: 'ALL_ACCOUNTS_FAILED',
-        message: 'Failed to fetch data from all connected accounts',
-        display_message: 'Unable to fetch your investment data. Please try again.'
-      });
+    if (format === 'csv') {
+      res.write(columns.map(toCsvValue).join(',') + '\n');
     }
 
-    // Combine all data from multiple accounts
-    const accounts = validResponses.flatMap(r => r.data.accounts);
-    const holdings = validResponses.flatMap(r => r.data.holdings);
-    const securities = validResponses.flatMap(r => r.data.securities);
+    if (dataset === 'holdings') {
+      holdingsExport.securities.forEach(sec => securitiesById.set(sec.security_id, sec));
 
-    console.log(`🎯 Holdings aggregated for ${req.user.name}: ${holdings.length} holdings, ${securities.length} securities`);
+      if (format === 'ofx') {
+        const holdingsByAccount = new Map();
+        holdingsExport.holdings.forEach(h => {
+          if (!holdingsByAccount.has(h.account_id)) holdingsByAccount.set(h.account_id, []);
+          holdingsByAccount.get(h.account_id).push(h);
+        });
+        writeOfxExport(res, { accounts, transactionsByAccount: new Map(), holdingsByAccount, securitiesById, startDate, endDate });
+      } else if (holdingsExport.holdings.length > 0) {
+        writeRows(holdingsExport.holdings.map(h => exportRow(h, accounts.get(h.account_id), securitiesById.get(h.security_id))));
+      }
 
-    res.json({
-      accounts,
-      holdings,
-      securities,
-      total_accounts: accounts.length,
-      total_holdings: holdings.length,
-      request_id: validResponses[0]?.data.request_id,
-      fetched_accounts: validResponses.length,
-      total_connected_accounts: tokens.length
+      return res.end();
+    }
+
+    // Transactions stream out a page at a time; OFX groups them by account first
+    const transactionsByAccount = new Map();
+
+    await forEachPage(() => {
+      let exportQuery = supabase
+        .from('investment_transactions')
+        .select(TRANSACTION_COLUMNS)
+        .eq('user_id', req.user.id)
+        .in('item_id', itemIds)
+        .is('removed_at', null)
+        .eq('is_canceled', false)
+        .is('cancel_transaction_id', null);
+
+      if (startDate) exportQuery = exportQuery.gte('date', startDate);
+      if (endDate) exportQuery = exportQuery.lte('date', endDate);
+
+      return exportQuery.order('date', { ascending: false }).order('investment_transaction_id');
+    }, async (page) => {
+      const missing = Array.from(new Set(page.map(t => t.security_id).filter(id => id && !securitiesById.has(id))));
+      (await loadSecurities(missing)).forEach(sec => securitiesById.set(sec.security_id, sec));
+
+      if (format === 'ofx') {
+        page.forEach(t => {
+          if (!transactionsByAccount.has(t.account_id)) transactionsByAccount.set(t.account_id, []);
+          transactionsByAccount.get(t.account_id).push(t);
+        });
+        return;
+      }
+
+      writeRows(page.map(t => exportRow(t, accounts.get(t.account_id), securitiesById.get(t.security_id))));
     });
 
+    if (format === 'ofx') {
+      writeOfxExport(res, { accounts, transactionsByAccount, holdingsByAccount: new Map(), securitiesById, startDate, endDate });
+    }
+
+    res.end();
+
   } catch (error) {
-    console.error('❌ Holdings fetch failed:', error.message);
+    console.error('❌ Export failed:', error.response?.data || error.message);
+
+    // Once streaming has started the status line is gone; cut the response short instead
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+    res.removeHeader('Content-Disposition');
+    res.removeHeader('Content-Type');
     res.status(500).json({
-      error: 'HOLDINGS_FETCH_FAILED',
-      message: 'Failed to fetch investment holdings',
-      display_message: 'Unable to fetch your investment data. Please try again.'
+      error: 'EXPORT_FAILED',
+      message: 'Failed to export data',
+      display_message: 'Unable to export your data. Please try again.'
     });
   }
 });
 
-// Get Investment Transactions (Secure)
-app.post('/api/plaid/investments/transactions', [
-  body('start_date').matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('start_date must be in YYYY-MM-DD format'),
-  body('end_date').matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('end_date must be in YYYY-MM-DD format'),
+// =======================
+// SECURITY AUDIT LOG
+// =======================
+
+// Get the user's own security history, newest first (Secure)
+app.get('/api/audit', [
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('limit must be between 1 and 200').toInt(),
+  query('before').optional().isISO8601().withMessage('before must be an ISO 8601 timestamp'),
+  query('action').optional().isString().isLength({ max: 64 }),
 ], validateErrors, authenticateToken, async (req, res) => {
   try {
-    logRequest(req, 'GET_INVESTMENTS_TRANSACTIONS');
+    const limit = req.query.limit || 50;
 
-    const { start_date, end_date } = req.body;
+    let auditQuery = supabase
+      .from('audit_events')
+      .select('id, occurred_at, action, outcome, item_id, ip_address, user_agent, request_id, metadata')
+      .eq('actor_user_id', req.user.id)
+      .order('occurred_at', { ascending: false })
+      .limit(limit + 1);
 
-    // Get user's access tokens from database
-    const { data: tokens, error } = await supabase
-      .from('user_plaid_tokens')
-      .select('access_token, item_id')
-      .eq('user_id', req.user.id);
+    if (req.query.before) auditQuery = auditQuery.lt('occurred_at', req.query.before);
+    if (req.query.action) auditQuery = auditQuery.eq('action', req.query.action.toUpperCase());
 
-    if (error || !tokens || tokens.length === 0) {
-      return res.status(404).json({
-        error: 'NO_CONNECTED_ACCOUNTS',
-        message: 'No connected accounts found',
-        display_message: 'Please connect an account first.'
-      });
+    const { data: events, error } = await auditQuery;
+
+    if (error) {
+      throw new Error(error.message);
     }
 
-    console.log(`📈 Fetching transactions from ${start_date} to ${end_date} for ${tokens.length} account(s) for user: ${req.user.name}`);
+    const page = events.slice(0, limit);
+    const hasMore = events.length > limit;
 
-    // Fetch transactions for each access token
-    const transactionPromises = tokens.map(async (tokenInfo, index) => {
-      try {
-        const response = await plaidClient.investmentsTransactionsGet({
-          access_token: tokenInfo.access_token,
-          start_date,
-          end_date
-        });
-        console.log(`✅ Transactions fetched for account ${index + 1}: ${response.data.investment_transactions.length} transactions`);
-        return response;
-      } catch (error) {
-        console.error(`❌ Failed to fetch transactions for account ${index + 1}:`, error.response?.data || error.message);
-        return null;
-      }
+    res.json({
+      events: page,
+      has_more: hasMore,
+      next_before: hasMore ? page[page.length - 1].occurred_at : null
     });
 
-    const responses = await Promise.all(transactionPromises);
-    const validResponses = responses.filter(r => r !== null);
+  } catch (error) {
+    console.error('❌ Audit log fetch failed:', error.message);
+    res.status(500).json({
+      error: 'AUDIT_FETCH_FAILED',
+      message: 'Failed to fetch security history',
+      display_message: 'Unable to load your security history. Please try again.'
+    });
+  }
+});
 
-    if (validResponses.length === 0) {
-      return res.status(500).json({
-        error: 'ALL_ACCOUNTS_FAILED',
-        message: 'Failed to fetch transactions from all connected accounts',
-        display_message: 'Unable to fetch your transaction data. Please try again.'
+// =======================
+// PLAID WEBHOOKS
+// =======================
+
+// Verification keys are cached by key ID; Plaid rotates them rarely
+const webhookKeyCache = new Map();
+
+const getWebhookVerificationKey = async (keyId) => {
+  const cached = webhookKeyCache.get(keyId);
+  if (cached && cached.expired_at === null) {
+    return cached;
+  }
+
+  const response = await plaidClient.webhookVerificationKeyGet({ key_id: keyId });
+  const jwk = response.data.key;
+
+  const entry = {
+    expired_at: jwk.expired_at,
+    publicKey: crypto.createPublicKey({ key: jwk, format: 'jwk' })
+  };
+  webhookKeyCache.set(keyId, entry);
+
+  return entry;
+};
+
+const verifyPlaidWebhook = async (req) => {
+  const signedJwt = req.headers['plaid-verification'];
+  if (!signedJwt || !req.rawBody) {
+    return false;
+  }
+
+  const decoded = jwt.decode(signedJwt, { complete: true });
+  if (!decoded || decoded.header.alg !== 'ES256' || !decoded.header.kid) {
+    return false;
+  }
+
+  const key = await getWebhookVerificationKey(decoded.header.kid);
+  if (key.expired_at !== null) {
+    return false;
+  }
+
+  // Rejects bad signatures and anything issued more than 5 minutes ago
+  const claims = jwt.verify(signedJwt, key.publicKey, {
+    algorithms: ['ES256'],
+    maxAge: '5m'
+  });
+
+  const bodyHash = crypto.createHash('sha256').update(req.rawBody).digest('hex');
+  const claimedHash = String(claims.request_body_sha256 || '');
+
+  return bodyHash.length === claimedHash.length &&
+    crypto.timingSafeEqual(Buffer.from(bodyHash), Buffer.from(claimedHash));
+};
+
+const updateItemFromWebhook = (itemId, fields) => {
+  return updateItemByItemId(itemId, {
+    ...fields,
+    last_webhook_at: new Date().toISOString()
+  });
+};
+
+// Plaid wants a fast 200, so ledger syncs triggered by webhooks aren't awaited
+const syncLedgerInBackground = (itemId) => {
+  syncItemByItemId(itemId).catch(error => {
+    console.error(`❌ Background ledger sync failed for item ${itemId}:`, error.response?.data || error.message);
+  });
+};
+
+const webhookHandlers = {
+  HOLDINGS: {
+    DEFAULT_UPDATE: async (event) => {
+      await updateItemFromWebhook(event.item_id, {
+        holdings_updated_at: new Date().toISOString()
       });
     }
+  },
+  INVESTMENTS_TRANSACTIONS: {
+    DEFAULT_UPDATE: async (event) => {
+      await updateItemFromWebhook(event.item_id, {
+        transactions_updated_at: new Date().toISOString()
+      });
+      syncLedgerInBackground(event.item_id);
+    },
+    HISTORICAL_UPDATE: async (event) => {
+      await updateItemFromWebhook(event.item_id, {
+        transactions_updated_at: new Date().toISOString()
+      });
+      syncLedgerInBackground(event.item_id);
+    }
+  },
+  ITEM: {
+    ERROR: async (event) => {
+      const errorCode = event.error?.error_code || 'UNKNOWN_ERROR';
+      await updateItemFromWebhook(event.item_id, {
+        item_status: errorCode === 'ITEM_LOGIN_REQUIRED' ? 'login_required' : 'error',
+        error_code: errorCode
+      });
+    },
+    LOGIN_REPAIRED: async (event) => {
+      await updateItemFromWebhook(event.item_id, {
+        item_status: 'healthy',
+        error_code: null,
+        consent_expiration_time: null
+      });
+    },
+    PENDING_EXPIRATION: async (event) => {
+      await updateItemFromWebhook(event.item_id, {
+        item_status: 'pending_expiration',
+        consent_expiration_time: event.consent_expiration_time || null
+      });
+    },
+    PENDING_DISCONNECT: async (event) => {
+      await updateItemFromWebhook(event.item_id, {
+        item_status: 'pending_expiration'
+      });
+    },
+    USER_PERMISSION_REVOKED: async (event) => {
+      await updateItemFromWebhook(event.item_id, {
+        item_status: 'revoked',
+        error_code: event.error?.error_code || 'USER_PERMISSION_REVOKED',
+        is_active: false
+      });
+    },
+    WEBHOOK_UPDATE_ACKNOWLEDGED: async (event) => {
+      await updateItemFromWebhook(event.item_id, {});
+    }
+  }
+};
 
-    // Combine all data from multiple accounts
-    const accounts = validResponses.flatMap(r => r.data.accounts);
-    const investment_transactions = validResponses.flatMap(r => r.data.investment_transactions);
-    const securities = validResponses.flatMap(r => r.data.securities);
-
-    console.log(`🎯 Transactions aggregated for ${req.user.name}: ${investment_transactions.length} transactions`);
+// Receive Plaid webhooks (authenticated by Plaid-Verification JWT, not user token)
+app.post('/api/plaid/webhook', async (req, res) => {
+  let verified = false;
+  try {
+    verified = await verifyPlaidWebhook(req);
+  } catch (error) {
+    console.error('❌ Webhook verification error:', error.message);
+  }
 
-    res.json({
-      accounts,
-      investment_transactions,
-      securities,
-      total_investment_transactions: investment_transactions.length,
-      date_range: { start_date, end_date },
-      request_id: validResponses[0]?.data.request_id,
-      fetched_accounts: validResponses.length,
-      total_connected_accounts: tokens.length
+  if (!verified) {
+    console.warn(`⚠️ Rejected unverified webhook - IP: ${req.ip}`);
+    return res.status(401).json({
+      error: 'WEBHOOK_VERIFICATION_FAILED',
+      message: 'Webhook signature could not be verified'
     });
+  }
 
+  const { webhook_type, webhook_code, item_id } = req.body;
+  const handler = webhookHandlers[webhook_type]?.[webhook_code];
+
+  if (!handler) {
+    console.log(`📭 Ignoring webhook ${webhook_type}.${webhook_code} for item: ${item_id}`);
+    return res.json({ received: true, handled: false });
+  }
+
+  try {
+    await handler(req.body);
+    console.log(`📬 Webhook ${webhook_type}.${webhook_code} processed for item: ${item_id}`);
+    res.json({ received: true, handled: true });
   } catch (error) {
-    console.error('❌ Transactions fetch failed:', error.message);
+    console.error(`❌ Webhook ${webhook_type}.${webhook_code} failed:`, error.message);
+    // Non-2xx makes Plaid retry the delivery
     res.status(500).json({
-      error: 'TRANSACTIONS_FETCH_FAILED',
-      message: 'Failed to fetch investment transactions',
-      display_message: 'Unable to fetch your transaction history. Please try again.'
+      error: 'WEBHOOK_PROCESSING_FAILED',
+      message: 'Failed to process webhook'
     });
   }
 });
@@ -645,10 +5952,39 @@ app.use('*', (req, res) => {
       'GET /health',
       'POST /api/auth/login',
       'GET /api/auth/validate',
+      'POST /api/auth/refresh',
+      'POST /api/auth/logout [AUTH REQUIRED]',
+      'POST /api/auth/logout-all [AUTH REQUIRED]',
+      'GET /api/auth/sessions [AUTH REQUIRED]',
+      'DELETE /api/auth/sessions/:session_id [AUTH REQUIRED]',
       'POST /api/plaid/create-link-token [AUTH REQUIRED]',
       'POST /api/plaid/exchange-public-token [AUTH REQUIRED]',
+      'GET /api/plaid/items [AUTH REQUIRED]',
+      'DELETE /api/plaid/items/:item_id [AUTH REQUIRED]',
+      'POST /api/plaid/items/:item_id/relink [AUTH REQUIRED]',
       'GET /api/plaid/investments/holdings [AUTH REQUIRED]',
-      'POST /api/plaid/investments/transactions [AUTH REQUIRED]'
+      'POST /api/plaid/investments/transactions [AUTH REQUIRED]',
+      'POST /api/plaid/investments/transactions/sync [AUTH REQUIRED]',
+      'GET /api/journal?tag=&strategy= [AUTH REQUIRED]',
+      'GET /api/journal/:investment_transaction_id [AUTH REQUIRED]',
+      'PUT /api/journal/:investment_transaction_id [AUTH REQUIRED]',
+      'DELETE /api/journal/:investment_transaction_id [AUTH REQUIRED]',
+      'POST /api/journal/:investment_transaction_id/attachments [AUTH REQUIRED]',
+      'DELETE /api/journal/:investment_transaction_id/attachments/:attachment_id [AUTH REQUIRED]',
+      'POST /api/imports/csv [AUTH REQUIRED]',
+      'POST /api/imports/ofx [AUTH REQUIRED]',
+      'POST /api/portfolio/snapshots [AUTH REQUIRED]',
+      'GET /api/portfolio/history?range=1M|3M|1Y|ALL [AUTH REQUIRED]',
+      'GET /api/portfolio/gains?method=FIFO|LIFO|HIFO|AVERAGE [AUTH REQUIRED]',
+      'GET /api/portfolio/wash-sales [AUTH REQUIRED]',
+      'GET /api/portfolio/performance?range=1M|3M|1Y|ALL [AUTH REQUIRED]',
+      'GET /api/portfolio/allocation [AUTH REQUIRED]',
+      'GET /api/portfolio/options [AUTH REQUIRED]',
+      'GET /api/portfolio/income [AUTH REQUIRED]',
+      'GET /api/reports/tax?year=YYYY&format=csv|pdf|json [AUTH REQUIRED]',
+      'GET /api/exports/holdings|transactions?format=csv|ndjson|ofx [AUTH REQUIRED]',
+      'GET /api/audit [AUTH REQUIRED]',
+      'POST /api/plaid/webhook [PLAID SIGNED]'
     ]
   });
 });
@@ -665,7 +6001,8 @@ const requiredEnvVars = [
   'PLAID_SECRET',
   'SUPABASE_URL',
   'SUPABASE_SERVICE_ROLE_KEY',
-  'JWT_SECRET'
+  'JWT_SECRET',
+  'TOKEN_ENCRYPTION_KEYS'
 ];
 
 const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
@@ -676,15 +6013,63 @@ if (missingVars.length > 0) {
   process.exit(1);
 }
 
-app.listen(PORT, () => {
-  console.log(`🚀 TradeLog Secure Backend v2.0 running on port ${PORT}`);
-  console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`🔑 Plaid Client ID: ${process.env.PLAID_CLIENT_ID ? '✅ Set' : '❌ Missing'}`);
-  console.log(`🔐 Plaid Secret: ${process.env.PLAID_SECRET ? '✅ Set (Hidden)' : '❌ Missing'}`);
-  console.log(`🏢 Supabase: ${process.env.SUPABASE_URL ? '✅ Connected' : '❌ Missing'}`);
-  console.log(`🔒 JWT Secret: ${process.env.JWT_SECRET ? '✅ Configured' : '❌ Missing'}`);
-  console.log(`🛡️ Security: Rate Limiting, CORS, Helmet, Authentication ✅`);
-  console.log(`📚 API Docs: All endpoints require authentication except /health and /api/auth/login`);
-});
+if (!masterKeys.has(currentMasterKeyId)) {
+  console.error(`❌ TOKEN_ENCRYPTION_KEY_ID "${currentMasterKeyId}" is not present in TOKEN_ENCRYPTION_KEYS`);
+  process.exit(1);
+}
+
+// How often the in-process job looks for items missing today's snapshot (0 disables it)
+const SNAPSHOT_INTERVAL_MINUTES = parseInt(process.env.HOLDINGS_SNAPSHOT_INTERVAL_MINUTES ?? '60');
+
+// One-off maintenance mode: re-wrap stored tokens with the current master key
+if (process.argv.includes('--reencrypt-tokens')) {
+  reencryptAccessTokens()
+    .then(({ updated, failed, key_id }) => {
+      console.log(`🔑 Re-encrypted ${updated} token(s) with key ${key_id}, ${failed} failed`);
+      process.exit(failed > 0 ? 1 : 0);
+    })
+    .catch(error => {
+      console.error('❌ Token re-encryption failed:', error.message);
+      process.exit(1);
+    });
+} else if (process.argv.includes('--snapshot-holdings')) {
+  // For external cron schedulers
+  snapshotDueItems()
+    .then(({ recorded, failed }) => {
+      console.log(`📸 Holdings snapshots: ${recorded} recorded, ${failed} failed`);
+      process.exit(failed > 0 ? 1 : 0);
+    })
+    .catch(error => {
+      console.error('❌ Holdings snapshot run failed:', error.message);
+      process.exit(1);
+    });
+} else {
+  if (SNAPSHOT_INTERVAL_MINUTES > 0) {
+    setInterval(runScheduledSnapshots, SNAPSHOT_INTERVAL_MINUTES * 60 * 1000);
+  }
+
+  // Expired sessions are only kept until the next sweep. Revoked ones stay until they
+  // expire so a replayed refresh token from their family is still caught as reuse.
+  setInterval(async () => {
+    const { data: deleted, error } = await supabase.rpc('cleanup_expired_sessions');
+    if (error) {
+      console.error('❌ Session cleanup failed:', error.message);
+    } else if (deleted > 0) {
+      console.log(`🧹 Removed ${deleted} expired session(s)`);
+    }
+  }, 60 * 60 * 1000);
+
+  app.listen(PORT, () => {
+    console.log(`🚀 TradeLog Secure Backend v2.0 running on port ${PORT}`);
+    console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
+    console.log(`🔑 Plaid Client ID: ${process.env.PLAID_CLIENT_ID ? '✅ Set' : '❌ Missing'}`);
+    console.log(`🔐 Plaid Secret: ${process.env.PLAID_SECRET ? '✅ Set (Hidden)' : '❌ Missing'}`);
+    console.log(`🏢 Supabase: ${process.env.SUPABASE_URL ? '✅ Connected' : '❌ Missing'}`);
+    console.log(`🔒 JWT Secret: ${process.env.JWT_SECRET ? '✅ Configured' : '❌ Missing'}`);
+    console.log(`🗝️ Token Encryption: ✅ Key ${currentMasterKeyId}`);
+    console.log(`🛡️ Security: Rate Limiting, CORS, Helmet, Authentication ✅`);
+    console.log(`📚 API Docs: All endpoints require authentication except /health, /api/auth/login and /api/auth/refresh`);
+  });
+}
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,185 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { computeLots, summarizeGains } = require('../lib/portfolio-math');
+
+const securities = new Map([
+  ['aapl', { security_id: 'aapl', ticker_symbol: 'AAPL', type: 'equity' }],
+  ['call', {
+    security_id: 'call',
+    ticker_symbol: 'AAPL260116C00200000',
+    type: 'derivative',
+    option_contract: { contract_type: 'call', expiration_date: '2026-01-16', strike_price: 200, underlying_security_ticker: 'AAPL' }
+  }],
+  ['cash', { security_id: 'cash', ticker_symbol: 'SPAXX', type: 'cash', is_cash_equivalent: true }]
+]);
+
+let nextId = 0;
+const trade = (date, security_id, type, subtype, quantity, amount) => ({
+  investment_transaction_id: `t${String(nextId++).padStart(3, '0')}`,
+  account_id: 'acct',
+  security_id,
+  date,
+  type,
+  subtype,
+  quantity,
+  amount,
+  price: quantity ? Math.abs(amount / quantity) : 0
+});
+
+const run = (transactions, options = {}) => computeLots(transactions, securities, { asOf: '2026-06-30', ...options });
+
+test('FIFO sale realizes the oldest lot first with its holding term', () => {
+  const { realized, openLots } = run([
+    trade('2024-01-02', 'aapl', 'buy', 'buy', 10, 1000),
+    trade('2025-03-01', 'aapl', 'buy', 'buy', 10, 1500),
+    trade('2025-06-01', 'aapl', 'sell', 'sell', -15, -2400)
+  ]);
+
+  assert.equal(realized.length, 2);
+  assert.deepEqual(realized.map(r => [r.quantity, r.cost_basis, r.proceeds, r.gain, r.term]), [
+    [10, 1000, 1600, 600, 'long'],
+    [5, 750, 800, 50, 'short']
+  ]);
+  assert.deepEqual(openLots.map(l => [l.side, l.quantity, l.cost_basis]), [['long', 5, 750]]);
+});
+
+test('HIFO and LIFO pick different lots', () => {
+  const transactions = [
+    trade('2025-01-02', 'aapl', 'buy', 'buy', 1, 100),
+    trade('2025-02-02', 'aapl', 'buy', 'buy', 1, 300),
+    trade('2025-03-02', 'aapl', 'buy', 'buy', 1, 200),
+    trade('2025-04-02', 'aapl', 'sell', 'sell', -1, -250)
+  ];
+
+  assert.equal(run(transactions, { method: 'HIFO' }).realized[0].cost_basis, 300);
+  assert.equal(run(transactions, { method: 'LIFO' }).realized[0].cost_basis, 200);
+  assert.equal(run(transactions, { method: 'AVERAGE' }).realized[0].cost_basis, 200);
+});
+
+test('a sale with no purchase in the history is missing basis, not a short', () => {
+  const { realized, openLots } = run([trade('2025-05-01', 'aapl', 'sell', 'sell', -5, -500)]);
+
+  assert.equal(realized.length, 1);
+  assert.equal(realized[0].basis_missing, true);
+  assert.equal(realized[0].proceeds, 500);
+  assert.equal(realized[0].gain, null);
+  assert.equal(openLots.length, 0);
+  assert.equal(summarizeGains(realized).missing_basis_count, 1);
+});
+
+test('short sale and buy to cover realize a short-term gain without a phantom long lot', () => {
+  const { realized, openLots } = run([
+    trade('2024-01-10', 'aapl', 'sell', 'sell short', -10, -1500),
+    trade('2025-06-01', 'aapl', 'buy', 'buy to cover', 10, 1200)
+  ]);
+
+  assert.equal(realized.length, 1);
+  assert.deepEqual(
+    [realized[0].side, realized[0].proceeds, realized[0].cost_basis, realized[0].gain, realized[0].term],
+    ['short', 1500, 1200, 300, 'short']
+  );
+  assert.equal(openLots.length, 0);
+});
+
+test('a buy to cover with no short on record reports missing basis', () => {
+  const { realized, openLots } = run([trade('2025-06-01', 'aapl', 'buy', 'buy to cover', 10, 1200)]);
+
+  assert.equal(realized[0].basis_missing, true);
+  assert.equal(realized[0].cost_basis, 1200);
+  assert.equal(realized[0].proceeds, null);
+  assert.equal(openLots.length, 0);
+});
+
+test('open short option lots are signed', () => {
+  const { openLots } = run([trade('2025-12-01', 'call', 'sell', 'sell short', -2, -600)], { asOf: '2025-12-15' });
+
+  assert.deepEqual(openLots.map(l => [l.side, l.quantity, l.cost_basis]), [['short', -2, -600]]);
+});
+
+test('same-day open and close match even when the close sorts first by ID', () => {
+  const close = { ...trade('2025-12-01', 'call', 'buy', 'buy to cover', 1, 100), investment_transaction_id: 'a-close' };
+  const open = { ...trade('2025-12-01', 'call', 'sell', 'sell short', -1, -250), investment_transaction_id: 'z-open' };
+  const { realized, openLots } = run([close, open]);
+
+  assert.equal(realized.length, 1);
+  assert.equal(realized[0].side, 'short');
+  assert.equal(realized[0].gain, 150);
+  assert.equal(openLots.length, 0);
+});
+
+test('an expired long option is a loss at zero proceeds', () => {
+  const { realized, openLots } = run([
+    trade('2025-12-01', 'call', 'buy', 'buy', 2, 700),
+    trade('2026-01-16', 'call', 'transfer', 'expire', -2, 0)
+  ]);
+
+  assert.equal(realized.length, 1);
+  assert.deepEqual(
+    [realized[0].closed_by, realized[0].proceeds, realized[0].cost_basis, realized[0].gain, realized[0].auto_closed],
+    ['expire', 0, 700, -700, false]
+  );
+  assert.equal(openLots.length, 0);
+});
+
+test('assignment closes a short option whatever the quantity sign', () => {
+  const { realized, openLots } = run([
+    trade('2025-12-01', 'call', 'sell', 'sell short', -1, -300),
+    trade('2026-01-16', 'call', 'transfer', 'assignment', 1, 0)
+  ]);
+
+  assert.equal(realized.length, 1);
+  assert.deepEqual([realized[0].closed_by, realized[0].side, realized[0].gain], ['assignment', 'short', 300]);
+  assert.equal(openLots.length, 0);
+});
+
+test('shares called away on an assigned covered call are sold at the strike', () => {
+  const { realized, openLots } = run([
+    trade('2025-11-03', 'aapl', 'buy', 'buy', 100, 18000),
+    trade('2025-12-01', 'call', 'sell', 'sell short', -1, -300),
+    trade('2026-01-16', 'call', 'transfer', 'assignment', 1, 0),
+    trade('2026-01-16', 'aapl', 'sell', 'assignment', -100, -20000)
+  ]);
+
+  const stock = realized.find(r => r.security_id === 'aapl');
+  const call = realized.find(r => r.security_id === 'call');
+  assert.equal(realized.length, 2);
+  assert.deepEqual(
+    [stock.closed_by, stock.proceeds, stock.cost_basis, stock.gain],
+    ['sale', 20000, 18000, 2000]
+  );
+  assert.deepEqual([call.closed_by, call.gain], ['assignment', 300]);
+  assert.equal(openLots.length, 0);
+});
+
+test('options still open after expiration are closed automatically', () => {
+  const { realized, openLots } = run([
+    trade('2025-12-01', 'call', 'buy', 'buy', 1, 400),
+    trade('2025-12-02', 'call', 'sell', 'sell', -1, -450),
+    trade('2025-12-03', 'call', 'sell', 'sell short', -1, -300)
+  ]);
+
+  const auto = realized.find(r => r.auto_closed);
+  assert.equal(realized.length, 2);
+  assert.deepEqual([auto.date_sold, auto.sell_transaction_id, auto.side, auto.gain], ['2026-01-16', null, 'short', 300]);
+  assert.equal(openLots.length, 0);
+
+  assert.equal(run([trade('2025-12-03', 'call', 'sell', 'sell short', -1, -300)], { asOf: '2026-01-16' }).openLots.length, 1);
+});
+
+test('transfers out move shares without realizing, and splits keep total basis', () => {
+  const { realized, openLots } = run([
+    trade('2025-01-02', 'aapl', 'buy', 'buy', 10, 1000),
+    trade('2025-02-02', 'aapl', 'transfer', 'split', 10, 0),
+    trade('2025-03-02', 'aapl', 'transfer', 'transfer', -5, 0)
+  ]);
+
+  assert.equal(realized.length, 0);
+  assert.deepEqual(openLots.map(l => [l.quantity, l.cost_basis]), [[15, 750]]);
+});
+
+test('cash equivalents are ignored', () => {
+  const { realized, openLots } = run([trade('2025-01-02', 'cash', 'buy', 'buy', 100, 100)]);
+
+  assert.equal(realized.length, 0);
+  assert.equal(openLots.length, 0);
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { timeWeightedReturn, xirr, moneyWeightedReturn, measurePerformance } = require('../lib/portfolio-math');
+
+const close = (actual, expected, tolerance = 1e-6) => {
+  assert.ok(Math.abs(actual - expected) < tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+};
+
+test('time-weighted return chains sub-periods and strips out flows', () => {
+  const points = [
+    { date: '2025-01-01', value: 1000 },
+    { date: '2025-06-30', value: 1100 },
+    { date: '2025-12-31', value: 1820 }
+  ];
+  const flows = [{ date: '2025-12-31', amount: 500 }];
+
+  // 1100 / 1000 = 1.1, then (1820 - 500) / 1100 = 1.2
+  close(timeWeightedReturn(points, flows), 0.32);
+});
+
+test('time-weighted return needs two valuations and skips empty periods', () => {
+  assert.equal(timeWeightedReturn([{ date: '2025-01-01', value: 1000 }], []), null);
+
+  const points = [
+    { date: '2025-01-01', value: 0 },
+    { date: '2025-02-01', value: 1000 },
+    { date: '2025-03-01', value: 1050 }
+  ];
+  close(timeWeightedReturn(points, [{ date: '2025-02-01', amount: 1000 }]), 0.05);
+});
+
+test('xirr annualizes a single holding period', () => {
+  close(xirr([
+    { date: '2025-01-01', amount: -1000 },
+    { date: '2026-01-01', amount: 1100 }
+  ]), 0.1);
+
+  close(xirr([
+    { date: '2025-01-01', amount: -1000 },
+    { date: '2026-01-01', amount: 500 }
+  ]), -0.5);
+});
+
+test('xirr has no answer without flows in both directions', () => {
+  assert.equal(xirr([{ date: '2025-01-01', amount: -1000 }]), null);
+  assert.equal(xirr([
+    { date: '2025-01-01', amount: -1000 },
+    { date: '2026-01-01', amount: -100 }
+  ]), null);
+});
+
+test('money-weighted return discounts a mid-period deposit to zero net present value', () => {
+  const points = [
+    { date: '2025-01-01', value: 1000 },
+    { date: '2026-01-01', value: 2100 }
+  ];
+  const rate = moneyWeightedReturn(points, [{ date: '2025-07-02', amount: 1000 }]);
+
+  const npv = -1000 - 1000 / Math.pow(1 + rate, 182 / 365) + 2100 / (1 + rate);
+  close(npv, 0, 1e-4);
+  assert.ok(rate > 0.05 && rate < 0.1);
+});
+
+test('performance summary separates deposits, withdrawals and newly linked accounts', () => {
+  const points = [
+    { date: '2025-01-01', value: 1000 },
+    { date: '2025-03-01', value: 3100 },
+    { date: '2025-06-01', value: 2900 }
+  ];
+  const flows = [
+    { date: '2025-02-01', amount: 500 },
+    { date: '2025-03-01', amount: 1500, linked: true },
+    { date: '2025-05-01', amount: -300 }
+  ];
+  const result = measurePerformance(points, flows);
+
+  assert.equal(result.deposits, 500);
+  assert.equal(result.withdrawals, 300);
+  assert.equal(result.newly_linked_value, 1500);
+  assert.equal(result.investment_gain, 200);
+  // Under a year, so no annualized figure
+  assert.equal(result.time_weighted_return_annualized_percent, null);
+});
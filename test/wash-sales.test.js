@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { computeLots, detectWashSales, computeLotsWithWashSales } = require('../lib/portfolio-math');
+
+const securities = new Map([
+  ['xyz', { security_id: 'xyz', ticker_symbol: 'XYZ', type: 'equity' }],
+  ['call', {
+    security_id: 'call',
+    ticker_symbol: 'XYZ260320C00050000',
+    type: 'derivative',
+    option_contract: { contract_type: 'call', expiration_date: '2026-03-20', strike_price: 50, underlying_security_ticker: 'XYZ' }
+  }]
+]);
+
+const trade = (id, date, security_id, type, quantity, amount, subtype = type) => ({
+  investment_transaction_id: id,
+  account_id: 'acct',
+  security_id,
+  date,
+  type,
+  subtype,
+  quantity,
+  amount
+});
+
+const detect = (transactions) => {
+  const { realized } = computeLots(transactions, securities, { asOf: '2026-01-01' });
+  return detectWashSales(realized, transactions, securities);
+};
+
+test('a stock loss is disallowed in proportion to the replacement shares', () => {
+  const washSales = detect([
+    trade('b1', '2025-01-02', 'xyz', 'buy', 10, 1000),
+    trade('s1', '2025-03-01', 'xyz', 'sell', -10, -800),
+    trade('b2', '2025-03-15', 'xyz', 'buy', 4, 330)
+  ]);
+
+  assert.equal(washSales.length, 1);
+  assert.equal(washSales[0].loss, -200);
+  assert.equal(washSales[0].disallowed_loss, 80);
+  assert.deepEqual(washSales[0].replacements.map(r => [r.buy_transaction_id, r.quantity_matched]), [['b2', 4]]);
+});
+
+test('purchases outside the 30-day window and the sold lot itself are not replacements', () => {
+  const washSales = detect([
+    trade('b1', '2025-01-02', 'xyz', 'buy', 10, 1000),
+    trade('s1', '2025-03-01', 'xyz', 'sell', -10, -800),
+    trade('b2', '2025-04-15', 'xyz', 'buy', 10, 800)
+  ]);
+
+  assert.equal(washSales.length, 0);
+});
+
+test('an option loss is matched in shares of the underlying', () => {
+  const washSales = detect([
+    trade('b1', '2025-01-02', 'call', 'buy', 2, 1000),
+    trade('s1', '2025-02-01', 'call', 'sell', -2, -400),
+    trade('b2', '2025-02-10', 'xyz', 'buy', 100, 4500)
+  ]);
+
+  // Two contracts are 200 shares, so 100 replacement shares disallow half the loss
+  assert.equal(washSales.length, 1);
+  assert.equal(washSales[0].disallowed_loss, 300);
+  assert.equal(washSales[0].replacements[0].quantity_matched, 100);
+});
+
+test('a call purchase only absorbs as many loss shares as it covers', () => {
+  const washSales = detect([
+    trade('b1', '2025-01-02', 'xyz', 'buy', 150, 7500),
+    trade('s1', '2025-02-01', 'xyz', 'sell', -150, -6000),
+    trade('b2', '2025-02-10', 'call', 'buy', 1, 200)
+  ]);
+
+  assert.equal(washSales.length, 1);
+  assert.equal(washSales[0].replacements[0].quantity_matched, 100);
+  assert.equal(washSales[0].disallowed_loss, 1000);
+});
+
+test('closing a short at a loss is not a wash sale', () => {
+  const washSales = detect([
+    trade('s1', '2025-01-02', 'xyz', 'sell', -10, -800, 'sell short'),
+    trade('c1', '2025-02-01', 'xyz', 'buy', 10, 1000, 'buy to cover'),
+    trade('b2', '2025-02-10', 'xyz', 'buy', 10, 1000)
+  ]);
+
+  assert.equal(washSales.length, 0);
+});
+
+test('replacement shares carry the disallowed loss and the sold lot\'s holding period', () => {
+  const { realized, washSales } = computeLotsWithWashSales([
+    trade('b1', '2025-01-02', 'xyz', 'buy', 10, 1000),
+    trade('s1', '2025-03-01', 'xyz', 'sell', -10, -800),
+    trade('b2', '2025-03-15', 'xyz', 'buy', 10, 850),
+    trade('s2', '2026-01-20', 'xyz', 'sell', -10, -1100)
+  ], securities, { asOf: '2026-06-30' });
+
+  assert.equal(washSales.length, 1);
+  const replacementSale = realized.find(r => r.sell_transaction_id === 's2');
+  assert.equal(replacementSale.cost_basis, 1050);
+  assert.equal(replacementSale.wash_sale_adjustment, 200);
+  // 58 days held before the washed sale, so the replacement counts from 2025-01-16
+  assert.equal(replacementSale.date_acquired, '2025-01-16');
+  assert.equal(replacementSale.term, 'long');
+});
+
+test('only the matched part of a purchase is adjusted', () => {
+  const { openLots } = computeLotsWithWashSales([
+    trade('b1', '2025-01-02', 'xyz', 'buy', 10, 1000),
+    trade('s1', '2025-03-01', 'xyz', 'sell', -10, -800),
+    trade('b2', '2025-03-15', 'xyz', 'buy', 20, 1700)
+  ], securities, { asOf: '2026-06-30' });
+
+  assert.deepEqual(openLots.map(l => [l.quantity, l.cost_basis, l.date_acquired]), [
+    [10, 1050, '2025-01-16'],
+    [10, 850, '2025-03-15']
+  ]);
+});
+
+test('a loss that only exists after a basis adjustment is washed on a later pass', () => {
+  const { washSales, openLots } = computeLotsWithWashSales([
+    trade('b1', '2025-01-02', 'xyz', 'buy', 10, 1000),
+    trade('s1', '2025-03-01', 'xyz', 'sell', -10, -800),
+    trade('b2', '2025-03-15', 'xyz', 'buy', 10, 850),
+    trade('s2', '2025-04-01', 'xyz', 'sell', -10, -900),
+    trade('b3', '2025-04-10', 'xyz', 'buy', 10, 900)
+  ], securities, { asOf: '2026-06-30' });
+
+  assert.deepEqual(washSales.map(w => [w.sell_transaction_id, w.disallowed_loss]), [['s1', 200], ['s2', 150]]);
+  assert.deepEqual(openLots.map(l => [l.buy_transaction_id, l.cost_basis]), [['b3', 1050]]);
+});